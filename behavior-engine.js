@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+
+const BUILTIN_DIRECTORY = path.join(__dirname, 'behaviors');
+
+// A behavior module exports:
+//   name      - unique id, used in config and getStatus()
+//   weight    - relative chance of being picked (config can override)
+//   safe      - true if it never moves the bot far or changes the world; only these run in safe idle mode
+//   canRun    - optional precondition, (context) => boolean
+//   duration  - optional ms, [min, max] or (context) => ms; defaults to activity.min/maxDuration
+//   run       - (context) => void | Promise; starts the behavior
+//   cleanup   - optional, (context) => void; runs when the duration is up or the bot leaves
+function loadBehaviors(directory, log) {
+  if (!fs.existsSync(directory)) {
+    log.warn(`⚠ Behavior directory not found: ${directory}`);
+    return [];
+  }
+
+  // Files starting with _ are shared helpers, not behaviors
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.js') && !file.startsWith('_'))
+    .sort()
+    .map((file) => {
+      try {
+        const behavior = require(path.resolve(directory, file));
+        if (!behavior || typeof behavior.name !== 'string' || typeof behavior.run !== 'function') {
+          throw new Error('expected { name, run } exports');
+        }
+        return behavior;
+      } catch (error) {
+        log.warn(`⚠ Skipping behavior ${file}: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Picks and runs one weighted behavior at a time while the bot is online
+class BehaviorEngine {
+  constructor(owner, options = {}) {
+    this.owner = owner; // The MinecraftBot instance
+    this.settings = owner.config.activity;
+    this.log = owner.activityLog;
+    this.behaviors = new Map();
+    this.tickTimer = null;
+    this.endTimer = null;
+    this.current = null; // { behavior, context, startedAt, endsAt }
+
+    // Behaviors from the configured directory replace built-in ones with the same name
+    const directories = [BUILTIN_DIRECTORY].concat(options.directory ? [path.resolve(options.directory)] : []);
+    directories.forEach((directory) => {
+      loadBehaviors(directory, this.log).forEach((behavior) => {
+        if (this.behaviors.has(behavior.name)) {
+          this.log.info(`🔁 Behavior ${behavior.name} overridden by ${directory}`);
+        }
+        this.behaviors.set(behavior.name, behavior);
+      });
+    });
+
+    this.enabled = options.enabled || Array.from(this.behaviors.keys());
+    this.weights = options.weights || {};
+    this.enabled
+      .filter(name => !this.behaviors.has(name))
+      .forEach(name => this.log.warn(`⚠ Enabled behavior "${name}" does not exist`));
+  }
+
+  weightOf(behavior) {
+    return this.weights[behavior.name] !== undefined ? this.weights[behavior.name] : (behavior.weight || 1);
+  }
+
+  createContext(bot) {
+    const context = {
+      bot,
+      owner: this.owner,
+      settings: this.settings,
+      log: this.log,
+      wait: ms => this.owner.timers.sleep(ms)
+    };
+    // False once this run has ended or the connection it started on is gone
+    context.isCurrent = () => this.current !== null && this.current.context === context &&
+      this.owner.bot === bot && this.owner.connected;
+    return context;
+  }
+
+  // Weighted pick among enabled behaviors whose preconditions hold right now
+  pick(context) {
+    const candidates = this.enabled
+      .map(name => this.behaviors.get(name))
+      .filter(behavior => behavior && this.weightOf(behavior) > 0 && this.owner.safeIdle.allows(behavior))
+      .filter((behavior) => {
+        try {
+          return !behavior.canRun || behavior.canRun(context);
+        } catch (error) {
+          this.log.debug(`⚠ Precondition of ${behavior.name} failed:`, error.message);
+          return false;
+        }
+      });
+
+    const total = candidates.reduce((sum, behavior) => sum + this.weightOf(behavior), 0);
+    let roll = Math.random() * total;
+    return candidates.find(behavior => (roll -= this.weightOf(behavior)) < 0) || null;
+  }
+
+  durationOf(behavior, context) {
+    const { duration } = behavior;
+    if (typeof duration === 'function') return duration(context);
+    if (typeof duration === 'number') return duration;
+    const [min, max] = Array.isArray(duration) ? duration : [this.settings.minDuration, this.settings.maxDuration];
+    return min + Math.random() * (max - min);
+  }
+
+  start() {
+    if (this.tickTimer) return;
+    this.log.info(`🎮 Starting realistic player activities (${this.enabled.filter(name => this.behaviors.has(name)).join(', ')})...`);
+    this.scheduleTick();
+  }
+
+  scheduleTick() {
+    const delay = this.settings.minInterval + Math.random() * (this.settings.maxInterval - this.settings.minInterval);
+    this.tickTimer = this.owner.timers.setTimeout(() => {
+      this.tick();
+      this.scheduleTick();
+    }, delay);
+  }
+
+  tick() {
+    if (this.current || !this.owner.canRunActivity()) return;
+
+    const context = this.createContext(this.owner.bot);
+    const behavior = this.pick(context);
+    if (!behavior) return;
+
+    const duration = this.durationOf(behavior, context);
+    this.current = { behavior, context, startedAt: Date.now(), endsAt: Date.now() + duration };
+    if (typeof context.bot.clearControlStates === 'function') {
+      context.bot.clearControlStates();
+    }
+    this.owner.metric.activityActions.inc({ action: behavior.name });
+
+    Promise.resolve()
+      .then(() => behavior.run(context))
+      .catch(error => this.log.warn(`⚠ Activity error (${behavior.name}):`, error.message));
+    this.endTimer = this.owner.timers.setTimeout(() => this.finish(), duration);
+  }
+
+  finish() {
+    if (this.endTimer) {
+      this.owner.timers.clear(this.endTimer);
+      this.endTimer = null;
+    }
+    if (!this.current) return;
+
+    const { behavior, context } = this.current;
+    this.current = null;
+    try {
+      if (behavior.cleanup) behavior.cleanup(context);
+      if (this.owner.bot === context.bot && typeof context.bot.clearControlStates === 'function') {
+        context.bot.clearControlStates();
+      }
+    } catch (error) {
+      this.log.warn(`⚠ Cleanup error (${behavior.name}):`, error.message);
+    }
+  }
+
+  stop() {
+    if (this.tickTimer) {
+      this.owner.timers.clear(this.tickTimer);
+      this.tickTimer = null;
+    }
+    this.finish();
+  }
+
+  getStatus() {
+    if (!this.current) return null;
+    return {
+      name: this.current.behavior.name,
+      startedAt: new Date(this.current.startedAt).toISOString(),
+      endsAt: new Date(this.current.endsAt).toISOString()
+    };
+  }
+
+  list() {
+    return Array.from(this.behaviors.values()).map(behavior => ({
+      name: behavior.name,
+      enabled: this.enabled.includes(behavior.name),
+      weight: this.weightOf(behavior)
+    }));
+  }
+}
+
+module.exports = BehaviorEngine;
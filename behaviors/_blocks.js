@@ -0,0 +1,24 @@
+// Shared block helpers for the block behaviors; files starting with _ are not loaded as behaviors
+
+function findInterestingBlocks(bot) {
+  return bot.findBlocks({
+    matching: (block) => {
+      return block && block.name &&
+             !block.name.includes('air') &&
+             !block.name.includes('water') &&
+             !block.name.includes('lava') &&
+             !block.name.includes('bedrock');
+    },
+    maxDistance: 4,
+    count: 10
+  });
+}
+
+function findItems(bot, names) {
+  return bot.inventory.items().filter(item => item && item.name && names.some(name => item.name.includes(name)));
+}
+
+module.exports = {
+  findInterestingBlocks,
+  findItems
+};
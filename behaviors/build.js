@@ -0,0 +1,37 @@
+const { findItems } = require('./_blocks');
+
+const BUILDING = ['dirt', 'cobblestone', 'wood'];
+
+// Place a block from the inventory next to the bot
+module.exports = {
+  name: 'build',
+  weight: 0.35,
+  canRun: ({ bot }) => bot.entity && findItems(bot, BUILDING).length > 0,
+  async run({ bot, log }) {
+    // Try to place a block nearby
+    const botPos = bot.entity.position;
+    const nearbyPositions = [
+      botPos.offset(1, 0, 0),
+      botPos.offset(-1, 0, 0),
+      botPos.offset(0, 0, 1),
+      botPos.offset(0, 0, -1),
+      botPos.offset(1, 1, 1),
+      botPos.offset(-1, 1, -1)
+    ];
+
+    const targetPos = nearbyPositions[Math.floor(Math.random() * nearbyPositions.length)];
+    const targetBlock = bot.blockAt(targetPos);
+    if (!targetBlock || targetBlock.name !== 'air') return;
+
+    const groundBlock = bot.blockAt(targetPos.offset(0, -1, 0));
+    if (!groundBlock || groundBlock.name === 'air') return;
+
+    try {
+      await bot.equip(findItems(bot, BUILDING)[0], 'hand');
+      await bot.placeBlock(groundBlock, targetPos);
+      log.info('🏗️ Bot built something!');
+    } catch (err) {
+      log.warn('⚠ Building failed:', err.message);
+    }
+  }
+};
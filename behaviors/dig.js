@@ -0,0 +1,43 @@
+const { findInterestingBlocks, findItems } = require('./_blocks');
+
+const PLACEABLE = ['dirt', 'stone', 'cobblestone', 'wood', 'plank'];
+
+// Mine a nearby block, then put something back where it was if we have materials
+module.exports = {
+  name: 'dig',
+  weight: 0.6,
+  duration: [4000, 7000],
+  canRun: ({ bot }) => findInterestingBlocks(bot).length > 0,
+  async run({ bot, log, isCurrent, wait }) {
+    const blocks = findInterestingBlocks(bot);
+    const position = blocks[Math.floor(Math.random() * blocks.length)];
+    log.info('⛏️ Bot attempting to mine block at:', position);
+
+    // Look at the block first (realistic behavior)
+    bot.lookAt(position);
+    await wait(500);
+    if (!isCurrent()) return;
+
+    try {
+      await bot.dig(bot.blockAt(position));
+      log.info('✅ Bot successfully mined a block!');
+    } catch (err) {
+      log.warn('⚠ Mining failed:', err.message);
+      return;
+    }
+
+    // After mining, try to place a block if we have materials
+    await wait(1000 + Math.random() * 2000);
+    const item = findItems(bot, PLACEABLE)[0];
+    const referenceBlock = isCurrent() && item && bot.blockAt(position.offset(0, -1, 0));
+    if (!referenceBlock) return;
+
+    try {
+      await bot.equip(item, 'hand');
+      await bot.placeBlock(referenceBlock, position.offset(0, 1, 0));
+      log.info('🧱 Bot placed a block!');
+    } catch (err) {
+      log.warn('⚠ Block placing failed:', err.message);
+    }
+  }
+};
@@ -0,0 +1,14 @@
+const { findInterestingBlocks } = require('./_blocks');
+
+// Just look at a nearby block (curious player behavior)
+module.exports = {
+  name: 'examine_block',
+  safe: true,
+  weight: 0.6,
+  canRun: ({ bot }) => findInterestingBlocks(bot).length > 0,
+  run({ bot, log }) {
+    const blocks = findInterestingBlocks(bot);
+    bot.lookAt(blocks[Math.floor(Math.random() * blocks.length)]);
+    log.debug('👁️ Bot examining block');
+  }
+};
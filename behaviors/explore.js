@@ -0,0 +1,13 @@
+// Explore and walk with random jumping
+module.exports = {
+  name: 'explore',
+  weight: 1,
+  canRun: ({ bot, owner }) => !owner.survival.hazardAhead(bot, { forward: 1 }),
+  run({ bot, settings, log }) {
+    bot.setControlState('forward', true);
+    if (Math.random() < settings.jumpChance) {
+      bot.setControlState('jump', true);
+      log.debug('🦘 Bot jumping while exploring');
+    }
+  }
+};
@@ -0,0 +1,17 @@
+// Random jumping in place (like a real player would)
+module.exports = {
+  name: 'jump',
+  weight: 1,
+  duration: 1500,
+  async run({ bot, log, isCurrent, wait }) {
+    log.debug('🦘 Bot doing random jumps');
+    for (let i = 0; i < 3; i++) {
+      if (!isCurrent()) return;
+      bot.setControlState('jump', true);
+      await wait(200);
+      if (!isCurrent()) return;
+      bot.setControlState('jump', false);
+      await wait(200);
+    }
+  }
+};
@@ -0,0 +1,19 @@
+// Look around while standing (realistic behavior)
+module.exports = {
+  name: 'look_around',
+  safe: true,
+  weight: 1,
+  run({ bot, log }) {
+    const directions = [
+      { yaw: 0, pitch: 0 },
+      { yaw: Math.PI / 2, pitch: 0 },
+      { yaw: Math.PI, pitch: 0 },
+      { yaw: -Math.PI / 2, pitch: 0 },
+      { yaw: Math.random() * Math.PI * 2, pitch: (Math.random() - 0.5) * 0.8 }
+    ];
+
+    const direction = directions[Math.floor(Math.random() * directions.length)];
+    bot.look(direction.yaw, direction.pitch);
+    log.debug('👀 Bot looking around');
+  }
+};
@@ -0,0 +1,11 @@
+// Crouch for a moment, like a player waiting around
+module.exports = {
+  name: 'sneak',
+  weight: 0.5,
+  safe: true,
+  duration: [1000, 3000],
+  run({ bot, log }) {
+    bot.setControlState('sneak', true);
+    log.debug('🧎 Bot sneaking');
+  }
+};
@@ -0,0 +1,11 @@
+// Sprint and explore
+module.exports = {
+  name: 'sprint',
+  weight: 1,
+  canRun: ({ bot, owner }) => !owner.survival.hazardAhead(bot, { forward: 1 }),
+  run({ bot, log }) {
+    bot.setControlState('forward', true);
+    bot.setControlState('sprint', true);
+    log.debug('🏃 Bot sprinting');
+  }
+};
@@ -0,0 +1,19 @@
+// A small step back and forth that ends roughly where it started
+module.exports = {
+  name: 'step',
+  weight: 0.5,
+  safe: true,
+  duration: 1500,
+  async run({ bot, log, isCurrent, wait }) {
+    const [first, second] = Math.random() < 0.5 ? ['forward', 'back'] : ['back', 'forward'];
+    bot.setControlState(first, true);
+    await wait(250);
+    bot.setControlState(first, false);
+    await wait(300);
+    if (!isCurrent()) return;
+    bot.setControlState(second, true);
+    await wait(250);
+    bot.setControlState(second, false);
+    log.debug('👣 Bot stepping back and forth');
+  }
+};
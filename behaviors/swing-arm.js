@@ -0,0 +1,11 @@
+// Swing the arm at nothing
+module.exports = {
+  name: 'swing_arm',
+  weight: 0.5,
+  safe: true,
+  duration: 1000,
+  run({ bot, log }) {
+    bot.swingArm(Math.random() < 0.8 ? 'right' : 'left');
+    log.debug('👋 Bot swinging arm');
+  }
+};
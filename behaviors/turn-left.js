@@ -0,0 +1,11 @@
+// Turn left and move
+module.exports = {
+  name: 'turn_left',
+  weight: 1,
+  run({ bot, settings, log }) {
+    bot.setControlState('left', true);
+    bot.setControlState('forward', true);
+    if (Math.random() < settings.turnJumpChance) bot.setControlState('jump', true);
+    log.debug('↪️ Bot turning left and moving');
+  }
+};
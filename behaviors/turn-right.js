@@ -0,0 +1,11 @@
+// Turn right and move
+module.exports = {
+  name: 'turn_right',
+  weight: 1,
+  run({ bot, settings, log }) {
+    bot.setControlState('right', true);
+    bot.setControlState('forward', true);
+    if (Math.random() < settings.turnJumpChance) bot.setControlState('jump', true);
+    log.debug('↩️ Bot turning right and moving');
+  }
+};
@@ -0,0 +1,86 @@
+const EventEmitter = require('events');
+const MinecraftBot = require('./bot');
+const MetricsRegistry = require('./metrics');
+const logger = require('./logger');
+
+const log = logger.child('manager');
+
+// Runs one MinecraftBot per configured server; each bot keeps its own state file, timers and usernames
+class BotManager extends EventEmitter {
+  constructor(botConfigs, options = {}) {
+    super();
+    this.startStagger = options.startStagger !== undefined ? options.startStagger : 5000;
+    this.bots = new Map();
+    this.startTimers = [];
+
+    botConfigs.forEach((botConfig) => {
+      const bot = new MinecraftBot(botConfig);
+      this.bots.set(bot.id, bot);
+
+      // Re-emit lifecycle events with the bot id so one listener can follow every bot
+      MinecraftBot.EVENTS.forEach((type) => {
+        bot.on(type, data => this.emit('botEvent', { botId: bot.id, type, data }));
+      });
+    });
+  }
+
+  // The first configured bot backs the single-bot routes (/status, /, /events, ...)
+  get primary() {
+    return this.bots.values().next().value;
+  }
+
+  get(id) {
+    return this.bots.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.bots.values());
+  }
+
+  // Bots on the same host would otherwise all hit it at once
+  start() {
+    this.list().forEach((bot, index) => {
+      const timer = setTimeout(() => {
+        this.startTimers = this.startTimers.filter(pending => pending !== timer);
+        log.info(`🚀 Starting bot ${bot.id} (${bot.config.host}:${bot.config.port})`);
+        bot.connect();
+      }, index * this.startStagger);
+      this.startTimers.push(timer);
+    });
+  }
+
+  async disconnect(timeout) {
+    this.startTimers.forEach(timer => clearTimeout(timer));
+    this.startTimers = [];
+    await Promise.all(this.list().map(bot => bot.disconnect(timeout)));
+  }
+
+  renderMetrics() {
+    return MetricsRegistry.renderAll(this.list().map(bot => bot.metrics));
+  }
+
+  getOverview() {
+    const bots = this.list().map((bot) => {
+      const status = bot.getStatus();
+      return {
+        id: bot.id,
+        server: status.server,
+        status: status.status,
+        connected: status.connected,
+        username: status.username,
+        realPlayersOnline: status.realPlayersOnline,
+        lastError: status.lastError,
+        lastErrorCategory: status.lastErrorCategory,
+        last24hUptimePercent: bot.sessionHistory.getSummary().last24hUptimePercent
+      };
+    });
+    return {
+      total: bots.length,
+      connected: bots.filter(bot => bot.connected).length,
+      hiding: this.list().filter(bot => bot.isHidingFromPlayers).length,
+      bots
+    };
+  }
+}
+
+module.exports = BotManager;
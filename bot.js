@@ -1,53 +1,305 @@
 
+const EventEmitter = require('events');
 const mineflayer = require('mineflayer');
-const net = require('net');
-
-class MinecraftBot {
+const ConnectionStateMachine = require('./state-machine');
+const { pingServer } = require('./server-ping');
+const PlayerClassifier = require('./player-classifier');
+const StateStore = require('./state-store');
+const SessionHistory = require('./session-history');
+const ReconnectPolicy = require('./reconnect-policy');
+const MetricsRegistry = require('./metrics');
+const Notifier = require('./notifier');
+const ChatCommands = require('./chat-commands');
+const PresenceSchedule = require('./presence-schedule');
+const BehaviorEngine = require('./behavior-engine');
+const SafeIdle = require('./safe-idle');
+const Survival = require('./survival');
+const TimerRegistry = require('./timer-registry');
+const PresenceTracker = require('./presence-tracker');
+const YieldPolicy = require('./yield-policy');
+const ServerStarter = require('./server-starter');
+const { ErrorCategory, classifyError, classifyKickReason } = require('./error-taxonomy');
+const logger = require('./logger');
+
+// Reconnect policy class used for each error category
+const RECONNECT_CLASSES = {
+  [ErrorCategory.NETWORK]: 'network',
+  [ErrorCategory.THROTTLED]: 'throttled',
+  [ErrorCategory.DUPLICATE_LOGIN]: 'duplicateLogin',
+  [ErrorCategory.BANNED]: 'banned',
+  [ErrorCategory.SERVER_FULL]: 'serverFull',
+  [ErrorCategory.WHITELIST]: 'rejected',
+  [ErrorCategory.OUTDATED_CLIENT]: 'rejected'
+};
+
+class MinecraftBot extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
+    this.id = config.id || 'default';
     this.bot = null;
-    this.connected = false;
     this.lastError = null;
+    this.lastErrorCategory = null;
     this.reconnectTimeout = null;
-    this.activityInterval = null;
-    this.status = 'disconnected'; // disconnected, connecting, connected
-    this.baseUsername = 'VISITOR_BOT';
-    this.usernameCounter = 1;
-    this.currentUsername = `${this.baseUsername}_${this.usernameCounter}`;
+    this.timers = new TimerRegistry(); // Every timer this bot starts, so disconnect() can cancel them all
+
+    // Log lines are tagged with the bot id when several bots share one process
+    const logContext = this.id === 'default' ? {} : { bot: this.id };
+    this.connectionLog = logger.child('connection', logContext);
+    this.detectionLog = logger.child('detection', logContext);
+    this.activityLog = logger.child('activity', logContext);
+    this.state = new ConnectionStateMachine({ log: this.connectionLog });
+    this.baseUsername = config.username;
     this.isShuttingDown = false;
-    this.bannedUsernames = new Set(); // Track banned usernames
+
+    // Usernames, bans and counters survive restarts so we don't repeat kick cycles
+    this.store = new StateStore(config.stateFile);
+    const saved = this.store.load();
+    this.usernameCounter = saved.usernameCounter;
+    this.currentUsername = saved.currentUsername || this.makeUsername(this.usernameCounter);
+    this.bannedUsernames = new Set(saved.bannedUsernames); // Track banned usernames
+    this.previousUsername = null; // The name used before the latest switch
+    this.sessionHistory = new SessionHistory(this.store, config.history);
+    this.sessionStartedAt = null;
+    this.reconnectPolicy = this.createReconnectPolicy(config.reconnect);
+    this.notifier = this.createNotifier(config.notifications);
     this.realPlayersOnline = new Set(); // Track real players (non-bot players)
     this.playerCheckInterval = null;
-    this.isHidingFromPlayers = false; // Flag to track if bot is hiding from real players
+    this.activityPaused = false;
+    this.manualHide = false; // Hidden by an operator; only a manual return brings the bot back
+    this.lastPing = null; // Most recent Server List Ping result
+    this.classifier = new PlayerClassifier(config.classifier);
+    this.playerClassifications = new Map(); // Latest classification per visible player
+    this.stayUntil = null; // Set by "!afkbot stay"; real players don't send the bot away until then
+    this.chatCommands = new ChatCommands(this, config.chatCommands);
+    this.schedule = new PresenceSchedule(config.schedule);
+    this.behaviors = new BehaviorEngine(this, config.behaviors);
+    this.safeIdle = new SafeIdle(this, config.safeIdle);
+    this.survival = new Survival(this, config.survival);
+    this.presence = new PresenceTracker(this, config.presence);
+    this.yieldPolicy = new YieldPolicy(config.yield);
+    this.yieldIdle = false; // Real players are around and the yield policy says stay, but without activity
+    this.starter = new ServerStarter(this, config.starter);
+    this.scheduleTimer = null;
+    this.nextScheduleTransition = null; // Cached { computedAt, value }; the scan is too slow for every request
+    this.setupMetrics();
+    this.setupStateActions();
+    this.setupPresence();
+  }
+
+  createReconnectPolicy(settings) {
+    const errorClass = (name) => ({
+      baseDelay: settings[`${name}Delay`],
+      maxDelay: settings[`${name}MaxDelay`]
+    });
+    return new ReconnectPolicy({
+      classes: {
+        duplicateLogin: errorClass('duplicateLogin'),
+        banned: errorClass('banned'),
+        throttled: errorClass('throttled'),
+        network: errorClass('network'),
+        serverFull: errorClass('serverFull'),
+        rejected: errorClass('rejected'),
+        default: errorClass('default')
+      },
+      multiplier: settings.multiplier,
+      minDelay: settings.minDelay,
+      stableSessionMs: settings.stableSession,
+      breakerThreshold: settings.breakerThreshold,
+      breakerCooldown: settings.breakerCooldown
+    });
+  }
+
+  setupMetrics() {
+    this.metrics = new MetricsRegistry('afkbot_', { bot: this.id });
+    this.metric = {
+      connectedSeconds: this.metrics.counter('connected_seconds_total', 'Seconds spent connected to the server'),
+      hiddenSeconds: this.metrics.counter('hidden_seconds_total', 'Seconds spent away from the server because of real players'),
+      reconnects: this.metrics.counter('reconnects_total', 'Reconnects scheduled, by error category'),
+      // Labelled by category rather than raw text to keep label cardinality bounded
+      kicks: this.metrics.counter('kicks_total', 'Kicks received, by kick reason category'),
+      usernameSwitches: this.metrics.counter('username_switches_total', 'Username switches, by reason'),
+      pingLatency: this.metrics.gauge('ping_latency_seconds', 'Latency of the latest successful status ping'),
+      serverWaitSeconds: this.metrics.counter('server_wait_seconds_total', 'Seconds spent waiting for the server to come back online'),
+      realPlayers: this.metrics.gauge('real_players', 'Real players currently known to be online'),
+      activityActions: this.metrics.counter('activity_actions_total', 'Activity actions performed, by action'),
+      deaths: this.metrics.counter('deaths_total', 'In-game deaths'),
+      serverStarts: this.metrics.counter('server_start_attempts_total', 'Attempts to start the offline server, by result')
+    };
+    this.stateTimeMark = Date.now();
+
+    this.metrics.onCollect(() => {
+      this.accountStateTime();
+      this.metric.realPlayers.set(this.realPlayersOnline.size);
+    });
+  }
+
+  // Adds the time since the last mark to the connected or hidden counter, depending on the current state
+  accountStateTime() {
+    const now = Date.now();
+    const seconds = (now - this.stateTimeMark) / 1000;
+    this.stateTimeMark = now;
+    if (this.connected) {
+      this.metric.connectedSeconds.inc({}, seconds);
+    } else if (this.isHidingFromPlayers) {
+      this.metric.hiddenSeconds.inc({}, seconds);
+    }
+  }
+
+  createNotifier(settings) {
+    const { discordWebhook, webhooks, ...options } = settings;
+    return new Notifier({
+      ...options,
+      webhooks: discordWebhook ? webhooks.concat({ url: discordWebhook, format: 'discord' }) : webhooks
+    }, { bot: this.id, server: `${this.config.host}:${this.config.port}` });
+  }
+
+  notifyHiding(realPlayers, reason) {
+    this.notifier.notify('hiding', {
+      title: '🚪 Bot left the server for real players',
+      message: `Left as ${this.currentUsername} (${reason})`,
+      fields: { players: realPlayers.join(', ') || 'none listed' }
+    });
+  }
+
+  persistState() {
+    this.store.update({
+      usernameCounter: this.usernameCounter,
+      currentUsername: this.currentUsername,
+      bannedUsernames: Array.from(this.bannedUsernames)
+    });
+  }
+
+  // Session duration is only known for connections that actually spawned
+  recordDisconnect(from, to, reason) {
+    const sessionDurationMs = from === 'connected' && this.sessionStartedAt ? Date.now() - this.sessionStartedAt : null;
+    this.sessionStartedAt = null;
+    this.reconnectPolicy.onSessionEnd(sessionDurationMs);
+    this.store.recordDisconnect({
+      username: this.currentUsername,
+      reason: reason || to,
+      state: to,
+      sessionDurationMs
+    });
+  }
+
+  get status() {
+    return this.state.current;
+  }
+
+  get connected() {
+    return this.state.is('connected');
+  }
+
+  // True while the bot has left the server to make room for real players
+  get isHidingFromPlayers() {
+    return this.state.isHiding();
+  }
+
+  setupStateActions() {
+    this.state
+      .onEnter('connecting', () => this.emit('connecting', { username: this.currentUsername }))
+      .onEnter('connected', () => {
+        this.emit('spawned', { username: this.currentUsername });
+        this.stateTimeMark = Date.now();
+        this.lastError = null;
+        this.lastErrorCategory = null;
+        this.sessionStartedAt = Date.now();
+        this.sessionHistory.start(this.currentUsername);
+        this.startPlayerMonitoring();
+        this.startFastPlayerDetection(); // Fast detection for immediate exit
+        this.startActivity();
+      })
+      .onExit('connected', (from, to, reason) => {
+        this.accountStateTime();
+        this.stopActivity();
+        this.chatCommands.reset();
+        this.safeIdle.stopLeash();
+        this.survival.stop();
+        this.presence.disconnected();
+        this.yieldIdle = false;
+        const hiding = ConnectionStateMachine.HIDING_STATES.includes(to);
+        this.sessionHistory.end(reason || to, hiding ? Array.from(this.realPlayersOnline) : []);
+        this.recordDisconnect(from, to, reason);
+      })
+      .onExit('connecting', (from, to, reason) => {
+        if (to !== 'connected') this.recordDisconnect(from, to, reason);
+      })
+      .onEnter('disconnected', () => this.stopPlayerMonitoring())
+      .onEnter('switching_username', () => this.stopPlayerMonitoring())
+      .onEnter('returning', () => this.emit('returning', {}))
+      .onEnter('stopped', () => {
+        this.chatCommands.stop();
+        this.presence.stop();
+        this.starter.stop();
+        if (this.scheduleTimer) {
+          this.timers.clear(this.scheduleTimer);
+          this.scheduleTimer = null;
+        }
+        this.stopActivity();
+        this.stopPlayerMonitoring();
+        this.stopAdvancedMonitoring();
+      });
+
+    for (const state of ConnectionStateMachine.HIDING_STATES) {
+      this.state
+        .onEnter(state, () => {
+          this.stateTimeMark = Date.now();
+          this.startAdvancedMonitoring();
+        })
+        .onExit(state, () => {
+          this.accountStateTime();
+          this.stopAdvancedMonitoring();
+        });
+    }
   }
 
   async connect() {
-    if (this.status === 'connecting' || this.isShuttingDown) return;
+    if (this.isShuttingDown) return;
+    if (this.schedule.isAbsent()) {
+      this.enterScheduledAbsence(this.schedule.resolve().source);
+      return;
+    }
+    if (!this.state.transition('connecting')) return;
+    if (!this.scheduleTimer) this.armScheduleTimer();
 
-    // Check if server is online first
+    // Check if server is online first; every await below can see the bot hidden, stopped or
+    // switched, and then this connection attempt is no longer wanted
     const isServerOnline = await this.checkServerStatus();
+    if (this.isShuttingDown || !this.state.is('connecting')) return;
     if (!isServerOnline) {
-      console.log('📴 Server appears to be offline, will retry later...');
-      this.handleError('Server offline', new Error('Server is not responding'));
+      this.connectionLog.info('📴 Server appears to be offline, will retry later...');
+      this.handleError('Server offline', new Error('Server is not responding'), ErrorCategory.NETWORK);
       return;
     }
 
-    // Disconnect any existing bot first
-    if (this.bot && typeof this.bot.quit === 'function') {
+    // Don't join at all while the status ping shows real players on the server
+    const realPlayers = this.getRealPlayersFromPing(this.lastPing);
+    if (realPlayers.length > 0 && this.shouldYieldTo(realPlayers)) {
+      this.detectionLog.info(`👨‍💻 Real players online before joining: ${realPlayers.join(', ')} - staying away`);
+      this.realPlayersOnline = new Set(realPlayers);
+      this.state.transition('waiting_for_players_to_leave', 'real players seen in status ping');
+      this.emit('hiding', { realPlayers, reason: 'status ping' });
+      this.notifyHiding(realPlayers, 'real players seen in status ping');
+      return;
+    }
+
+    // Disconnect any existing bot first; detach it so its late events are ignored. Quitting one that
+    // has already ended would only leave minecraft-protocol's 30s close timer running.
+    const previousBot = this.bot;
+    this.bot = null;
+    if (previousBot && typeof previousBot.quit === 'function' && !previousBot.hasEnded) {
       try {
-        this.bot.quit();
+        previousBot.quit();
         // Wait a moment for clean disconnect
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        await this.timers.sleep(2000);
       } catch (error) {
-        console.log('⚠ Error quitting bot:', error.message);
+        this.connectionLog.warn('⚠ Error quitting bot:', error.message);
       }
-      this.bot = null;
+      if (this.isShuttingDown || !this.state.is('connecting')) return;
     }
 
-    this.status = 'connecting';
-    this.connected = false;
-
-    console.log(`⏳ Connecting to server with username: ${this.currentUsername}...`);
+    this.connectionLog.info(`⏳ Connecting to server with username: ${this.currentUsername}...`);
 
     try {
       this.bot = mineflayer.createBot({
@@ -60,6 +312,7 @@ class MinecraftBot {
         checkTimeoutInterval: 30000, // Reduced timeout for faster detection
         hideErrors: true, // Hide minor protocol errors
         connectTimeout: 20000, // 20 second connection timeout
+        respawn: false, // Survival respawns after a short pause
         // Additional options for better error handling
         keepAlive: true,
         // Prevent chunk errors
@@ -68,12 +321,8 @@ class MinecraftBot {
         packetWhitelist: null, // Allow all packets but handle errors gracefully
         // Better error recovery
         errorHandler: (err) => {
-          if (err.message && (
-            err.message.includes('Chunk size mismatch') ||
-            err.message.includes('explosion packet') ||
-            err.message.includes('Invalid packet')
-          )) {
-            console.log('⚠ Suppressed packet error:', err.message);
+          if (classifyError(err) === ErrorCategory.PROTOCOL_NOISE) {
+            this.connectionLog.debug('⚠ Suppressed packet error:', err.message);
             return; // Don't throw
           }
           throw err; // Re-throw other errors
@@ -81,37 +330,197 @@ class MinecraftBot {
       });
 
       this.setupEventHandlers();
+      this.chatCommands.attach(this.bot);
+      this.safeIdle.attach(this.bot);
+      this.survival.attach(this.bot);
+      this.presence.attach(this.bot);
     } catch (error) {
       this.handleError('Connection creation failed', error);
     }
   }
 
+  async probeServer() {
+    try {
+      const result = await pingServer(this.config.host, this.config.port, { timeout: 5000 });
+      this.lastPing = { ...result, error: null, checkedAt: Date.now() };
+      this.metric.pingLatency.set(result.latency / 1000);
+    } catch (error) {
+      this.lastPing = { online: false, error: error.message, checkedAt: Date.now() };
+    }
+    return this.lastPing;
+  }
+
   async checkServerStatus() {
-    return new Promise((resolve) => {
-      const net = require('net');
-      const socket = new net.Socket();
-      
-      const timeout = setTimeout(() => {
-        socket.destroy();
-        resolve(false);
-      }, 5000); // 5 second timeout
-      
-      socket.connect(this.config.port, this.config.host, () => {
-        clearTimeout(timeout);
-        socket.destroy();
-        console.log('✅ Server is online and reachable');
-        resolve(true);
-      });
-      
-      socket.on('error', () => {
-        clearTimeout(timeout);
-        console.log('❌ Server is offline or unreachable');
-        resolve(false);
-      });
+    const ping = await this.probeServer();
+    if (!this.isShuttingDown) this.starter.observe(ping.online);
+
+    if (ping.online) {
+      this.connectionLog.info(`✅ Server is online (${ping.version}, ${ping.players.online}/${ping.players.max} players, ${ping.latency}ms)`);
+      return true;
+    }
+
+    if (ping.error) {
+      this.connectionLog.warn('❌ Server is offline or unreachable:', ping.error);
+    } else {
+      this.connectionLog.warn(`❌ Server proxy answered but the game server is down: ${ping.version || 'unknown'} - ${ping.motd}`);
+    }
+    return false;
+  }
+
+  // Returns the cached ping result, probing again when it is older than maxAge
+  async getServerPing(maxAge = 30000) {
+    if (this.lastPing && Date.now() - this.lastPing.checkedAt < maxAge) {
+      return this.lastPing;
+    }
+    return this.probeServer();
+  }
+
+  // A ping taken right after a username switch may still list the old name, which is no real player
+  ownUsernames() {
+    return [this.currentUsername, this.previousUsername, ...this.bannedUsernames].filter(Boolean);
+  }
+
+  classifyPlayer(username, uuid = null) {
+    const classification = this.classifier.classify(username, uuid, this.ownUsernames());
+    this.playerClassifications.set(username, classification);
+    return classification;
+  }
+
+  // Classifies a full player list, replacing the previously recorded classifications
+  classifyPlayers(players) {
+    this.playerClassifications.clear();
+    return players.map(({ username, uuid }) => this.classifyPlayer(username, uuid));
+  }
+
+  // Operators can join to give chat commands without sending the bot away, unless configured otherwise
+  isRealPlayer(classification) {
+    if (classification.isBot) return false;
+    return this.config.chatCommands.operatorsCountAsPlayers ||
+      !this.chatCommands.isOperator(classification.username, classification.uuid);
+  }
+
+  isStaying() {
+    return this.stayUntil !== null && Date.now() < this.stayUntil;
+  }
+
+  // A chat "stay" or a scheduled "present" window keeps the bot online despite real players
+  ignoresRealPlayers() {
+    return this.isStaying() || this.schedule.modeAt() === 'present';
+  }
+
+  // Whether real players should send the bot away right now; a chat "stay" or a scheduled "present"
+  // window always wins, otherwise the configured yield policy decides
+  shouldYieldTo(realPlayers) {
+    if (this.ignoresRealPlayers()) {
+      this.setYieldIdle(false);
+      return false;
+    }
+
+    const ping = this.lastPing;
+    const decision = this.yieldPolicy.decide(realPlayers, {
+      online: this.connected && this.bot ? Object.keys(this.bot.players).length : ping && ping.players ? ping.players.online : null,
+      max: ping && ping.players ? ping.players.max : null,
+      connected: this.connected
     });
+    this.setYieldIdle(decision === 'idle');
+    return decision === 'leave';
+  }
+
+  setYieldIdle(idle) {
+    if (idle === this.yieldIdle) return;
+    this.yieldIdle = idle;
+    if (idle) {
+      this.activityLog.info('😶 Real players online - going idle (yield policy)');
+      this.behaviors.finish();
+    } else {
+      this.activityLog.info('▶️ No real players left to idle for - resuming activity');
+    }
+  }
+
+  getNextScheduleTransition() {
+    const cached = this.nextScheduleTransition;
+    if (!cached || Date.now() - cached.computedAt > 60000 || (cached.value && Date.now() >= cached.value.at)) {
+      this.nextScheduleTransition = { computedAt: Date.now(), value: this.schedule.nextTransition() };
+    }
+    return this.nextScheduleTransition.value;
+  }
+
+  getScheduleStatus() {
+    const next = this.getNextScheduleTransition();
+    return {
+      mode: this.schedule.modeAt(),
+      timezone: this.schedule.timezone,
+      nextTransition: next ? { ...next, at: new Date(next.at).toISOString() } : null
+    };
+  }
+
+  // Re-checks the schedule at its next transition, and at least hourly
+  armScheduleTimer() {
+    if (this.scheduleTimer) this.timers.clear(this.scheduleTimer);
+
+    const next = this.getNextScheduleTransition();
+    const delay = Math.min(next ? next.at - Date.now() : Infinity, 3600000);
+    this.scheduleTimer = this.timers.setTimeout(() => {
+      this.scheduleTimer = null;
+      this.applySchedule();
+    }, Math.max(delay, 1000));
+  }
+
+  applySchedule() {
+    if (this.isShuttingDown) return;
+
+    const { mode, source } = this.schedule.resolve();
+    if (mode === 'absent' && this.state.can('scheduled_absence')) {
+      this.enterScheduledAbsence(source);
+    } else if (mode !== 'absent' && this.state.is('scheduled_absence')) {
+      this.connectionLog.info(`📅 Scheduled absence over (${source}), reconnecting`);
+      this.connect();
+    } else if (mode === 'present' && this.isHidingFromPlayers && !this.manualHide) {
+      this.detectionLog.info(`📅 Scheduled presence started (${source}), returning despite real players`);
+      this.returnAfterPlayersLeft();
+    }
+    this.armScheduleTimer();
+  }
+
+  enterScheduledAbsence(source) {
+    const wasConnected = this.connected;
+    if (!this.state.transition('scheduled_absence', `schedule: ${source}`)) return;
+
+    this.connectionLog.info(`📅 Staying off the server (${source})`);
+    if (this.reconnectTimeout) {
+      this.timers.clear(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+    if (wasConnected && this.bot && typeof this.bot.quit === 'function') {
+      try {
+        this.bot.quit('Scheduled absence');
+      } catch (error) {
+        this.connectionLog.warn('⚠ Error quitting bot:', error.message);
+      }
+    }
+    this.armScheduleTimer();
+  }
+
+  // Real players according to a status ping plus anyone the presence tracker hasn't confirmed gone
+  // yet; unsampled players count as real
+  getRealPlayersFromPing(ping) {
+    if (!ping || !ping.online || !ping.players) return [];
+
+    const sample = ping.players.sample || [];
+    this.classifyPlayers(sample.map(player => ({ username: player.name, uuid: player.id })));
+    this.presence.observePing(ping);
+    const realPlayers = this.presence.getRealPlayers();
+    const unsampled = ping.players.online - sample.length;
+
+    if (unsampled > 0) {
+      realPlayers.push(`${unsampled} unlisted player(s)`);
+    }
+    return realPlayers;
   }
 
   setupEventHandlers() {
+    const bot = this.bot;
+
     // Add packet error handlers to prevent crashes
     this.bot.on('packet', (data, name, direction) => {
       // Silently handle problematic packets
@@ -122,15 +531,8 @@ class MinecraftBot {
 
     // Handle protocol errors gracefully
     this.bot._client.on('error', (err) => {
-      if (err.message && (
-        err.message.includes('Chunk size mismatch') ||
-        err.message.includes('explosion packet') ||
-        err.message.includes('Invalid packet') ||
-        err.message.includes('Protocol error') ||
-        err.message.includes('parse') ||
-        err.message.includes('chunk')
-      )) {
-        console.log('⚠ Ignoring protocol/packet error:', err.message);
+      if (classifyError(err) === ErrorCategory.PROTOCOL_NOISE) {
+        this.connectionLog.debug('⚠ Ignoring protocol/packet error:', err.message);
         return; // Don't crash, just ignore
       }
       
@@ -141,210 +543,172 @@ class MinecraftBot {
     // Handle raw socket errors
     if (this.bot._client && this.bot._client.socket) {
       this.bot._client.socket.on('error', (err) => {
-        if (err.code === 'ECONNRESET' || err.code === 'ECONNREFUSED' || err.code === 'ETIMEDOUT') {
-          console.log('🔌 Socket error, will reconnect:', err.code);
+        if (classifyError(err) === ErrorCategory.NETWORK) {
+          this.connectionLog.info('🔌 Socket error, will reconnect:', err.code);
           this.handleError('Socket error', err);
         }
       });
     }
 
     this.bot.on('login', () => {
-      console.log('🔐 Logged in to server...');
+      this.connectionLog.info('🔐 Logged in to server...');
     });
 
     this.bot.on('spawn', () => {
-      console.log('✅ Connected and spawned successfully!');
-      this.connected = true;
-      this.status = 'connected';
-      this.lastError = null;
-      this.startPlayerMonitoring();
-      this.startFastPlayerDetection(); // Fast detection for immediate exit
-      this.startActivity();
+      if (bot !== this.bot || this.connected) return; // Respawn after death, handled by survival
+      if (!this.state.is('connecting')) {
+        // Hidden or stopped while the login was in flight
+        this.connectionLog.info(`👋 Spawned while ${this.state.current} - leaving again`);
+        bot.quit();
+        return;
+      }
+      this.connectionLog.info('✅ Connected and spawned successfully!');
+      this.state.transition('connected', 'spawned');
     });
 
     this.bot.on('kicked', (reason) => {
-      console.log('❌ Kicked from server:', reason);
-
-      // Check if it's a ban
-      const reasonStr = typeof reason === 'object' ? JSON.stringify(reason) : reason.toString();
-      const isBanned = reasonStr.includes('banned') || reasonStr.includes('ban') || 
-                      reasonStr.includes('multiplayer.disconnect.banned');
-      const isThrottled = reasonStr.includes('throttled') || reasonStr.includes('wait before reconnecting');
-      const isDuplicateLogin = reasonStr.includes('duplicate_login') || reasonStr.includes('duplicate login');
+      if (bot !== this.bot) return; // Stale bot from a previous connection
+
+      this.connectionLog.warn('❌ Kicked from server:', reason);
+
+      const kick = classifyKickReason(reason);
+      const reasonStr = kick.text || kick.translations.join(', ') || 'no reason given';
+      this.connectionLog.info(`🔍 Kick category: ${kick.category}`);
+      this.metric.kicks.inc({ category: kick.category });
+      this.emit('kicked', { reason: reasonStr, category: kick.category });
+      if (kick.category === ErrorCategory.BANNED) {
+        this.notifier.notify('banned', {
+          title: '🚫 Bot was banned',
+          message: reasonStr,
+          severity: 'critical',
+          fields: { username: this.currentUsername }
+        });
+      } else {
+        this.notifier.notify('kicked', {
+          title: '❌ Bot was kicked',
+          message: reasonStr,
+          severity: 'warning',
+          fields: { username: this.currentUsername, category: kick.category }
+        });
+      }
 
-      if (isDuplicateLogin) {
-        console.log('🔄 Duplicate login detected! Another instance may be running. Switching username...');
+      if (kick.category === ErrorCategory.DUPLICATE_LOGIN) {
+        this.connectionLog.info('🔄 Duplicate login detected! Another instance may be running. Switching username...');
+        this.state.transition('switching_username', 'duplicate login');
         this.bannedUsernames.add(this.currentUsername);
-        this.switchToNextUsername();
+        this.switchToNextUsername('duplicate_login');
 
-        this.connected = false;
-        this.status = 'switching_username';
         this.lastError = `Duplicate login - switched to ${this.currentUsername}`;
-        this.stopActivity();
-
-        // Cancel any existing reconnect timeout
-        if (this.reconnectTimeout) {
-          clearTimeout(this.reconnectTimeout);
-          this.reconnectTimeout = null;
-        }
-
-        // Immediate reconnect with new username after short delay
-        console.log(`🚀 Immediately connecting with new username: ${this.currentUsername}`);
-        setTimeout(() => {
-          if (!this.isShuttingDown) {
-            this.connect();
-          }
-        }, 3000); // Only 3 second delay for quick username switch
-
+        this.lastErrorCategory = kick.category;
+        this.reconnectWithNewUsername(kick.category);
         return;
       }
 
-      if (isBanned) {
-        console.log('🚫 Bot was banned! Switching to next username...');
+      if (kick.category === ErrorCategory.BANNED) {
+        this.connectionLog.info('🚫 Bot was banned! Switching to next username...');
+        this.state.transition('switching_username', 'banned');
         this.bannedUsernames.add(this.currentUsername);
-        this.switchToNextUsername();
+        this.switchToNextUsername('banned');
 
-        // Connect immediately with new username instead of waiting
-        this.connected = false;
-        this.status = 'disconnected';
         this.lastError = 'Banned: ' + reasonStr;
-        this.stopActivity();
-
-        // Cancel any existing reconnect timeout
-        if (this.reconnectTimeout) {
-          clearTimeout(this.reconnectTimeout);
-          this.reconnectTimeout = null;
-        }
-
-        // Connect immediately with new username
-        console.log('🚀 Immediately connecting with new username...');
-        setTimeout(() => {
-          if (!this.isShuttingDown) {
-            this.connect();
-          }
-        }, 1000); // Small 1 second delay to ensure clean disconnect
-
+        this.lastErrorCategory = kick.category;
+        this.reconnectWithNewUsername(kick.category);
         return; // Don't call handleDisconnect as we're handling reconnection here
       }
 
-      if (isThrottled) {
-        console.log('⏰ Connection throttled! Will wait longer before reconnecting...');
+      if (kick.category === ErrorCategory.THROTTLED) {
+        this.connectionLog.info('⏰ Connection throttled! Will wait longer before reconnecting...');
       }
 
-      this.handleDisconnect('Kicked: ' + reasonStr);
+      this.handleDisconnect('Kicked: ' + reasonStr, kick.category);
     });
 
     this.bot.on('end', (reason) => {
-      console.log('❌ Connection ended:', reason);
+      bot.hasEnded = true; // So quitBot() doesn't wait for an 'end' that already happened
+      if (bot !== this.bot) return; // Stale bot from a previous connection
+
+      this.connectionLog.warn('❌ Connection ended:', reason);
       this.handleDisconnect('Connection ended: ' + reason);
     });
 
     this.bot.on('error', (err) => {
-      console.log('⚠ Bot error:', err.message);
-      
+      this.connectionLog.warn('⚠ Bot error:', err.message);
+      const category = classifyError(err);
+
       // Ignore packet/protocol errors that shouldn't cause reconnection
-      if (err.message && (
-        err.message.includes('Chunk size mismatch') ||
-        err.message.includes('explosion packet') ||
-        err.message.includes('Invalid packet') ||
-        err.message.includes('Protocol error') ||
-        err.message.includes('parse error') ||
-        err.message.includes('packet') ||
-        err.message.includes('chunk') ||
-        err.message.includes('Unknown packet')
-      )) {
-        console.log('⚠ Ignoring packet/protocol error - continuing operation');
+      if (category === ErrorCategory.PROTOCOL_NOISE) {
+        this.connectionLog.debug('⚠ Ignoring packet/protocol error - continuing operation');
         return; // Don't reconnect for these errors
       }
-      
-      // Handle specific network errors that require reconnection
-      if (err.code === 'ECONNRESET') {
-        console.log('🔌 Connection reset by server - network issue or server restart');
-        this.handleError('Connection reset (ECONNRESET)', err);
-      } else if (err.code === 'ECONNREFUSED') {
-        console.log('🚫 Connection refused - server may be offline');
-        this.handleError('Connection refused (ECONNREFUSED)', err);
-      } else if (err.code === 'ETIMEDOUT') {
-        console.log('⏰ Connection timeout - server may be slow or offline');
-        this.handleError('Connection timeout (ETIMEDOUT)', err);
-      } else if (err.message && err.message.includes('read ECONNRESET')) {
-        console.log('📡 Read connection reset - server disconnected unexpectedly');
-        this.handleError('Read connection reset', err);
-      } else if (err.message && err.message.includes('socket hang up')) {
-        console.log('🔌 Socket hang up - server disconnected');
-        this.handleError('Socket hang up', err);
+
+      if (category === ErrorCategory.NETWORK) {
+        this.connectionLog.info(`🔌 Network error (${err.code || err.message}) - server may be offline or restarting`);
+        this.handleError(`Network error${err.code ? ` (${err.code})` : ''}`, err, category);
       } else {
-        console.log('🔧 General bot error:', err.code || 'Unknown');
-        this.handleError('Bot error', err);
+        this.connectionLog.info('🔧 General bot error:', err.code || 'Unknown');
+        this.handleError('Bot error', err, category);
       }
     });
 
-    this.bot.on('death', () => {
-      console.log('💀 Bot died, respawning...');
-    });
+  }
 
-    // Immediate player join detection
-    this.bot.on('playerJoined', (player) => {
-      console.log(`👤 Player joined: ${player.username}`);
+  // Joins and leaves as confirmed by the presence tracker, from the tab list, entities or status pings
+  setupPresence() {
+    this.presence.on('joined', (record) => {
+      this.detectionLog.info(`👤 Player joined: ${record.username}`);
 
       // Check if it's a real player (not our bot)
-      const isBotPattern = 
-        player.username.startsWith('DARK_WORLD') || 
-        player.username.startsWith('AFK') ||
-        player.username.startsWith('BOT') ||
-        player.username.includes('_BOT') ||
-        player.username.includes('BOT_') ||
-        /^[A-Z_]+_\d+$/.test(player.username) ||
-        /^[A-Z]+\d+$/.test(player.username) ||
-        player.username.toLowerCase().includes('afk') ||
-        player.username.toLowerCase().includes('bot');
-
-      if (!isBotPattern && player.username !== this.currentUsername) {
-        console.log('🚨🚨🚨 REAL PLAYER JOINED EVENT! 🚨🚨🚨');
-        console.log(`Real player: ${player.username}`);
-        console.log('⚡ INSTANT EXIT TRIGGERED BY EVENT');
-        this.forceExitForRealPlayers([player.username]);
+      const classification = this.classifyPlayer(record.username, record.uuid);
+      this.emit('playerJoined', classification);
+      const realPlayers = this.presence.getRealPlayers();
+      if (this.connected && realPlayers.includes(record.username) && this.shouldYieldTo(realPlayers)) {
+        this.detectionLog.info('🚨🚨🚨 REAL PLAYER JOINED EVENT! 🚨🚨🚨');
+        this.detectionLog.info(`Real player: ${record.username}`);
+        this.detectionLog.info('⚡ INSTANT EXIT TRIGGERED BY EVENT');
+        this.forceExitForRealPlayers([record.username]);
       }
     });
 
-    // Player leave detection
-    this.bot.on('playerLeft', (player) => {
-      console.log(`👋 Player left: ${player.username}`);
+    this.presence.on('left', (record) => {
+      this.detectionLog.info(`👋 Player left: ${record.username}`);
+      this.playerClassifications.delete(record.username);
+      this.emit('playerLeft', { username: record.username });
 
-      if (this.realPlayersOnline.has(player.username)) {
-        this.realPlayersOnline.delete(player.username);
-        console.log(`📊 Real players remaining: ${this.realPlayersOnline.size}`);
+      if (this.realPlayersOnline.has(record.username)) {
+        this.realPlayersOnline.delete(record.username);
+        this.detectionLog.info(`📊 Real players remaining: ${this.realPlayersOnline.size}`);
 
         if (this.realPlayersOnline.size === 0 && this.isHidingFromPlayers) {
-          console.log('✅ All real players left - preparing to return');
+          this.detectionLog.info('✅ All real players left - preparing to return');
         }
       }
     });
   }
 
-  handleDisconnect(reason) {
-    this.connected = false;
-    this.status = 'disconnected';
-    this.lastError = reason;
-    this.stopActivity();
-    this.stopFastPlayerDetection();
-
-    // Keep player monitoring active if hiding from real players
-    if (!this.isHidingFromPlayers) {
-      this.stopPlayerMonitoring();
-      this.scheduleReconnect();
-    } else {
-      // Keep monitoring active to detect when to return
-      console.log('👀 Keeping player monitoring active while hiding...');
+  handleDisconnect(reason, category = ErrorCategory.UNKNOWN) {
+    // Hiding and username switches own their reconnects, so there is nothing to do there
+    if (!this.state.can('disconnected')) {
+      if (this.isHidingFromPlayers) {
+        this.detectionLog.info('👀 Keeping player monitoring active while hiding...');
+      }
+      return;
     }
+    this.state.transition('disconnected', reason);
+
+    this.lastError = reason;
+    this.lastErrorCategory = category;
+    this.scheduleReconnect();
   }
 
-  handleError(message, error) {
-    this.connected = false;
-    this.status = 'disconnected';
-    this.lastError = `${message}: ${error.message}`;
-    console.log('⚠ Error:', this.lastError);
-    this.stopActivity();
+  handleError(message, error, category = classifyError(error)) {
+    const reason = `${message}: ${error.message}`;
+    this.connectionLog.warn('⚠ Error:', reason);
+
+    if (!this.state.can('disconnected')) return;
+    this.state.transition('disconnected', reason);
+
+    this.lastError = reason;
+    this.lastErrorCategory = category;
     this.scheduleReconnect();
   }
 
@@ -353,374 +717,140 @@ class MinecraftBot {
       return;
     }
 
-    if (this.reconnectTimeout) {
-      clearTimeout(this.reconnectTimeout);
-    }
-
-    // Check error type for appropriate delay
-    const isThrottled = this.lastError && this.lastError.includes('throttled');
-    const isNetworkError = this.lastError && (
-      this.lastError.includes('ECONNRESET') || 
-      this.lastError.includes('ECONNREFUSED') || 
-      this.lastError.includes('ETIMEDOUT') ||
-      this.lastError.includes('Network connection failed') ||
-      this.lastError.includes('Server offline')
-    );
-    const isDuplicateLogin = this.lastError && this.lastError.includes('Duplicate login');
-
-    let delay;
-    if (isDuplicateLogin) {
-      delay = 5000; // 5 seconds for duplicate login (fast username switch)
-    } else if (isThrottled) {
-      delay = 60000; // 60 seconds for throttling
-    } else if (isNetworkError) {
-      delay = 20000; // 20 seconds for network errors
-    } else {
-      delay = 10000; // 10 seconds for normal errors
+    // No point retrying during a scheduled absence; the schedule timer brings the bot back
+    if (this.schedule.isAbsent()) {
+      this.enterScheduledAbsence(this.schedule.resolve().source);
+      return;
     }
 
-    console.log(`❌ Disconnected, retrying in ${delay/1000} seconds...`);
-    console.log(`🔍 Error type: ${isNetworkError ? 'Network/Server' : isThrottled ? 'Throttled' : isDuplicateLogin ? 'Duplicate Login' : 'Normal'}`);
-    
-    this.reconnectTimeout = setTimeout(async () => {
-      if (!this.isShuttingDown) {
-        // For network errors, continuously check server status
-        if (isNetworkError) {
-          await this.waitForServerOnline();
-        }
-        this.connect();
+    const category = this.lastErrorCategory || ErrorCategory.UNKNOWN;
+    const isNetworkError = category === ErrorCategory.NETWORK;
+    const { delay, attempt } = this.backoff(category);
+    this.connectionLog.warn(`❌ Disconnected, retrying in ${Math.round(delay / 1000)} seconds (attempt ${attempt})...`);
+
+    this.reconnectTimeout = this.timers.setTimeout(async () => {
+      this.reconnectTimeout = null;
+      if (this.isShuttingDown) return;
+
+      this.reconnectPolicy.onAttempt();
+
+      // For network errors, continuously check server status
+      if (isNetworkError && !(await this.waitForServerOnline())) {
+        if (this.isShuttingDown) return;
+        this.lastError = 'Server offline: still unreachable after monitoring';
+        this.lastErrorCategory = ErrorCategory.NETWORK;
+        this.scheduleReconnect();
+        return;
       }
+      this.connect();
     }, delay);
   }
 
-  async waitForServerOnline() {
-    console.log('🔍 Continuously monitoring server status...');
-    let attempts = 0;
-    const maxAttempts = 60; // Maximum 60 attempts (30 minutes)
-    
-    while (!this.isShuttingDown && attempts < maxAttempts) {
-      attempts++;
-      console.log(`🔍 Server check ${attempts}/${maxAttempts}...`);
-      
-      const isOnline = await this.checkServerStatus();
-      if (isOnline) {
-        console.log('🎉 Server is back online! Connecting immediately...');
-        break;
-      }
-      
-      // Progressive delay - start with 15 seconds, increase to 30 seconds
-      const delay = attempts < 10 ? 15000 : 30000;
-      console.log(`📴 Server still offline, checking again in ${delay/1000} seconds...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
+  // Records a failure with the reconnect policy and returns its { delay, attempt, breakerState }
+  backoff(category) {
+    const errorClass = RECONNECT_CLASSES[category] || 'default';
+    const wasOpen = this.reconnectPolicy.getState().breakerState === 'open';
+    const result = this.reconnectPolicy.onFailure(errorClass);
+    this.metric.reconnects.inc({ category });
+
+    this.connectionLog.info(`🔍 Error type: ${category} (backoff class: ${errorClass})`);
+    if (result.breakerState === 'open') {
+      this.connectionLog.info('🔌 Circuit breaker is open - holding off until the cooldown ends');
     }
-    
-    if (attempts >= maxAttempts) {
-      console.log('⏰ Maximum server monitoring attempts reached');
+    if (result.breakerState === 'open' && !wasOpen) {
+      this.notifier.notify('breaker_open', {
+        title: '🔌 Reconnect limit reached',
+        message: `Circuit breaker opened after ${this.reconnectPolicy.getState().consecutiveFailures} failed attempts; next try in ${Math.round(result.delay / 1000)}s`,
+        severity: 'critical',
+        fields: { lastError: this.lastError, category }
+      });
     }
+    return result;
   }
 
-  startActivity() {
-    if (this.activityInterval) return;
-
-    console.log('🎮 Starting realistic player activities...');
-
-    // Keep the bot active with realistic player behaviors
-    this.activityInterval = setInterval(() => {
-      if (!this.connected || !this.bot) return;
-
-      try {
-        // Realistic player activities
-        const activities = [
-          () => {
-            // Explore and walk with random jumping
-            this.bot.setControlState('forward', true);
-            if (Math.random() < 0.4) {
-              this.bot.setControlState('jump', true);
-              console.log('🦘 Bot jumping while exploring');
-            }
-          },
-          () => {
-            // Sprint and explore
-            this.bot.setControlState('forward', true);
-            this.bot.setControlState('sprint', true);
-            console.log('🏃 Bot sprinting');
-          },
-          () => {
-            // Turn left and move
-            this.bot.setControlState('left', true);
-            this.bot.setControlState('forward', true);
-            if (Math.random() < 0.3) this.bot.setControlState('jump', true);
-            console.log('↪️ Bot turning left and moving');
-          },
-          () => {
-            // Turn right and move
-            this.bot.setControlState('right', true);
-            this.bot.setControlState('forward', true);
-            if (Math.random() < 0.3) this.bot.setControlState('jump', true);
-            console.log('↩️ Bot turning right and moving');
-          },
-          () => {
-            // Random jumping in place (like a real player would)
-            for (let i = 0; i < 3; i++) {
-              setTimeout(() => {
-                if (this.bot && this.connected) {
-                  this.bot.setControlState('jump', true);
-                  setTimeout(() => {
-                    if (this.bot && this.connected) {
-                      this.bot.setControlState('jump', false);
-                    }
-                  }, 200);
-                }
-              }, i * 400);
-            }
-            console.log('🦘 Bot doing random jumps');
-          },
-          () => {
-            // Look around while standing (realistic behavior)
-            const directions = [
-              { yaw: 0, pitch: 0 },
-              { yaw: Math.PI / 2, pitch: 0 },
-              { yaw: Math.PI, pitch: 0 },
-              { yaw: -Math.PI / 2, pitch: 0 },
-              { yaw: Math.random() * Math.PI * 2, pitch: (Math.random() - 0.5) * 0.8 }
-            ];
-            
-            const direction = directions[Math.floor(Math.random() * directions.length)];
-            this.bot.look(direction.yaw, direction.pitch);
-            console.log('👀 Bot looking around');
-          }
-        ];
-
-        // Clear previous states
-        if (this.bot && typeof this.bot.clearControlStates === 'function') {
-          this.bot.clearControlStates();
-        }
-
-        // Perform random activity
-        const activity = activities[Math.floor(Math.random() * activities.length)];
-        activity();
-
-        // Try block interactions (mining/placing) occasionally
-        if (Math.random() < 0.2) { // 20% chance
-          this.performBlockActivity();
-        }
-
-        // Continue activity for realistic duration
-        const activityDuration = 1500 + Math.random() * 4000; // 1.5-5.5 seconds
-        setTimeout(() => {
-          if (this.bot && typeof this.bot.clearControlStates === 'function') {
-            this.bot.clearControlStates();
-
-            // Pause and look around (realistic player behavior)
-            setTimeout(() => {
-              if (this.bot && this.connected && typeof this.bot.look === 'function') {
-                const randomYaw = Math.random() * Math.PI * 2;
-                const randomPitch = (Math.random() - 0.5) * 0.6;
-                this.bot.look(randomYaw, randomPitch);
-              }
-            }, 300 + Math.random() * 500);
-          }
-        }, activityDuration);
+  // Reconnects with a fresh username after a ban or duplicate login; the policy's backoff and breaker
+  // keep an IP ban from burning through usernames every few seconds
+  reconnectWithNewUsername(category) {
+    if (this.reconnectTimeout) {
+      this.timers.clear(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
 
-      } catch (error) {
-        console.log('⚠ Activity error:', error.message);
-      }
-    }, 2000 + Math.random() * 3000); // Every 2-5 seconds
+    const { delay } = this.backoff(category);
+    this.connectionLog.info(`🚀 Connecting as ${this.currentUsername} in ${Math.round(delay / 1000)} seconds...`);
+    this.reconnectTimeout = this.timers.setTimeout(() => {
+      this.reconnectTimeout = null;
+      if (this.isShuttingDown) return;
+      this.reconnectPolicy.onAttempt();
+      this.connect();
+    }, delay);
   }
 
-  performBlockActivity() {
-    if (!this.bot || !this.connected) return;
+  async waitForServerOnline() {
+    this.connectionLog.info('🔍 Continuously monitoring server status...');
+    const { maxAttempts, fastAttempts, fastDelay, slowDelay } = this.config.serverWait;
+    let attempts = 0;
+    const startedAt = Date.now();
 
     try {
-      // Look for blocks around the bot
-      const blocks = this.bot.findBlocks({
-        matching: (block) => {
-          return block && block.name && 
-                 !block.name.includes('air') && 
-                 !block.name.includes('water') && 
-                 !block.name.includes('lava') &&
-                 !block.name.includes('bedrock');
-        },
-        maxDistance: 4,
-        count: 10
-      });
-
-      if (blocks.length > 0) {
-        const randomBlock = blocks[Math.floor(Math.random() * blocks.length)];
-        
-        // 50% chance to dig, 50% chance to just look at block
-        if (Math.random() < 0.5) {
-          console.log('⛏️ Bot attempting to mine block at:', randomBlock);
-          
-          // Look at the block first (realistic behavior)
-          this.bot.lookAt(randomBlock);
-          
-          setTimeout(() => {
-            if (this.bot && this.connected) {
-              this.bot.dig(this.bot.blockAt(randomBlock))
-                .then(() => {
-                  console.log('✅ Bot successfully mined a block!');
-                  
-                  // After mining, try to place a block if we have materials
-                  setTimeout(() => {
-                    this.tryPlaceBlock(randomBlock);
-                  }, 1000 + Math.random() * 2000);
-                })
-                .catch((err) => {
-                  console.log('⚠ Mining failed:', err.message);
-                });
-            }
-          }, 500);
-        } else {
-          // Just look at the block (curious player behavior)
-          this.bot.lookAt(randomBlock);
-          console.log('👁️ Bot examining block');
+      while (!this.isShuttingDown && attempts < maxAttempts) {
+        attempts++;
+        this.connectionLog.info(`🔍 Server check ${attempts}/${maxAttempts}...`);
+
+        const isOnline = await this.checkServerStatus();
+        if (isOnline) {
+          this.connectionLog.info('🎉 Server is back online! Connecting immediately...');
+          return true;
         }
-      }
 
-      // Sometimes place blocks from inventory
-      if (Math.random() < 0.3) {
-        this.tryRandomBlockPlacement();
+        // Progressive delay - check quickly at first, then back off
+        const delay = attempts < fastAttempts ? fastDelay : slowDelay;
+        this.connectionLog.info(`📴 Server still offline, checking again in ${delay/1000} seconds...`);
+        await this.timers.sleep(delay);
       }
 
-    } catch (error) {
-      console.log('⚠ Block activity error:', error.message);
-    }
-  }
-
-  tryPlaceBlock(position) {
-    if (!this.bot || !this.connected) return;
-
-    try {
-      // Look for placeable items in inventory
-      const placeableItems = this.bot.inventory.items().filter(item => {
-        return item && item.name && (
-          item.name.includes('dirt') ||
-          item.name.includes('stone') ||
-          item.name.includes('cobblestone') ||
-          item.name.includes('wood') ||
-          item.name.includes('plank')
-        );
-      });
-
-      if (placeableItems.length > 0) {
-        const item = placeableItems[0];
-        const referenceBlock = this.bot.blockAt(position.offset(0, -1, 0));
-        
-        if (referenceBlock) {
-          this.bot.equip(item, 'hand')
-            .then(() => {
-              return this.bot.placeBlock(referenceBlock, position.offset(0, 1, 0));
-            })
-            .then(() => {
-              console.log('🧱 Bot placed a block!');
-            })
-            .catch((err) => {
-              console.log('⚠ Block placing failed:', err.message);
-            });
-        }
+      if (attempts >= maxAttempts) {
+        this.connectionLog.info('⏰ Maximum server monitoring attempts reached - backing off instead of connecting');
+        this.notifier.notify('server_unreachable', {
+          title: '📴 Server unreachable',
+          message: `No answer after ${attempts} checks over ${Math.round((Date.now() - startedAt) / 60000)} minutes`,
+          severity: 'critical',
+          fields: { lastError: this.lastPing && this.lastPing.error }
+        });
       }
-    } catch (error) {
-      console.log('⚠ Place block error:', error.message);
+      return false;
+    } finally {
+      this.metric.serverWaitSeconds.inc({}, (Date.now() - startedAt) / 1000);
     }
   }
 
-  tryRandomBlockPlacement() {
-    if (!this.bot || !this.connected) return;
+  canRunActivity() {
+    return this.connected && Boolean(this.bot) && !this.activityPaused && !this.chatCommands.isBusy() &&
+      !this.safeIdle.isReturning() && !this.survival.isBusy() && !this.yieldIdle;
+  }
 
-    try {
-      // Get bot's current position
-      const botPos = this.bot.entity.position;
-      
-      // Try to place a block nearby
-      const nearbyPositions = [
-        botPos.offset(1, 0, 0),
-        botPos.offset(-1, 0, 0),
-        botPos.offset(0, 0, 1),
-        botPos.offset(0, 0, -1),
-        botPos.offset(1, 1, 1),
-        botPos.offset(-1, 1, -1)
-      ];
-
-      const targetPos = nearbyPositions[Math.floor(Math.random() * nearbyPositions.length)];
-      const targetBlock = this.bot.blockAt(targetPos);
-      
-      if (targetBlock && targetBlock.name === 'air') {
-        const groundBlock = this.bot.blockAt(targetPos.offset(0, -1, 0));
-        
-        if (groundBlock && groundBlock.name !== 'air') {
-          // Look for materials in inventory
-          const buildingItems = this.bot.inventory.items().filter(item => {
-            return item && item.name && (
-              item.name.includes('dirt') ||
-              item.name.includes('cobblestone') ||
-              item.name.includes('wood')
-            );
-          });
-
-          if (buildingItems.length > 0) {
-            const item = buildingItems[0];
-            this.bot.equip(item, 'hand')
-              .then(() => {
-                return this.bot.placeBlock(groundBlock, targetPos);
-              })
-              .then(() => {
-                console.log('🏗️ Bot built something!');
-              })
-              .catch((err) => {
-                console.log('⚠ Building failed:', err.message);
-              });
-          }
-        }
-      }
-    } catch (error) {
-      console.log('⚠ Random placement error:', error.message);
-    }
+  startActivity() {
+    this.behaviors.start();
   }
 
   stopActivity() {
-    if (this.activityInterval) {
-      clearInterval(this.activityInterval);
-      this.activityInterval = null;
-    }
+    this.behaviors.stop();
     this.stopFastPlayerDetection();
   }
 
   startPlayerMonitoring() {
     if (this.playerCheckInterval) return;
 
-    // Check for real players every 1 minute (60 seconds)
-    this.playerCheckInterval = setInterval(() => {
-      if (!this.connected || !this.bot) {
-        // If hiding from players, check if we should return
-        if (this.isHidingFromPlayers) {
-          console.log('🔍 Bot is hiding - assuming real players have left after disconnect');
-          this.realPlayersOnline.clear();
-          this.returnAfterPlayersLeft();
-        }
-        return;
-      }
+    // Periodically re-check the full player list for real players
+    this.playerCheckInterval = this.timers.setInterval(() => {
+      // While hiding, advanced monitoring polls the status ping instead
+      if (!this.connected || !this.bot) return;
 
       try {
-        const currentPlayers = new Set();
-
-        // Get all players currently online with more detailed checking
-        Object.keys(this.bot.players).forEach(playerName => {
-          const player = this.bot.players[playerName];
-
-          // More advanced filtering - exclude bot-like usernames
-          const isBotUsername = playerName.startsWith('DARK_WORLD') || 
-                              playerName.startsWith('AFK') ||
-                              playerName.startsWith('BOT') ||
-                              playerName.includes('_BOT') ||
-                              /^[A-Z_]+_\d+$/.test(playerName); // Pattern like WORD_NUMBER
-
-          // Only count as real player if they have a valid entity and are actually spawned
-          if (!isBotUsername && player && player.entity) {
-            currentPlayers.add(playerName);
-            console.log(`🔍 Detected real player: ${playerName} (UUID: ${player.uuid})`);
-          }
-        });
+        // Tab-listed players count too, even when they're out of render distance
+        this.classifyPlayers(Object.values(this.bot.players));
+        const currentPlayers = new Set(this.presence.getRealPlayers());
+        currentPlayers.forEach(username => this.detectionLog.info(`🔍 Detected real player: ${username}`));
 
         // Check if any real players joined
         const newPlayers = [...currentPlayers].filter(player => !this.realPlayersOnline.has(player));
@@ -729,40 +859,40 @@ class MinecraftBot {
         // Update the real players list
         this.realPlayersOnline = currentPlayers;
 
-        if (newPlayers.length > 0) {
-          console.log('👨‍💻 Real player(s) joined:', newPlayers.join(', '));
-          console.log('📊 Total real players online:', this.realPlayersOnline.size);
-          console.log('🚪 Bot exiting to give space to real players...');
+        if (newPlayers.length > 0 && this.shouldYieldTo([...currentPlayers])) {
+          this.detectionLog.info('👨‍💻 Real player(s) joined:', newPlayers.join(', '));
+          this.detectionLog.info('📊 Total real players online:', this.realPlayersOnline.size);
+          this.detectionLog.info('🚪 Bot exiting to give space to real players...');
           this.exitForRealPlayers();
         }
 
         if (leftPlayers.length > 0) {
-          console.log('👋 Real player(s) left:', leftPlayers.join(', '));
-          console.log('📊 Remaining real players:', this.realPlayersOnline.size);
+          this.detectionLog.info('👋 Real player(s) left:', leftPlayers.join(', '));
+          this.detectionLog.info('📊 Remaining real players:', this.realPlayersOnline.size);
         }
 
         // Only return if we're sure no real players are online
         if (this.realPlayersOnline.size === 0 && this.isHidingFromPlayers) {
-          console.log('✅ No real players online confirmed, bot can return!');
+          this.detectionLog.info('✅ No real players online confirmed, bot can return!');
           this.returnAfterPlayersLeft();
         }
 
         // Log current player status every 2 minutes when connected  
         if (Date.now() % 120000 < 3000) {
-          console.log('📊 Current server status:');
-          console.log(`   Real players: ${this.realPlayersOnline.size > 0 ? Array.from(this.realPlayersOnline).join(', ') : 'None'}`);
-          console.log(`   Bot hiding: ${this.isHidingFromPlayers}`);
+          this.detectionLog.info('📊 Current server status:');
+          this.detectionLog.info(`   Real players: ${this.realPlayersOnline.size > 0 ? Array.from(this.realPlayersOnline).join(', ') : 'None'}`);
+          this.detectionLog.info(`   Bot hiding: ${this.isHidingFromPlayers}`);
         }
 
       } catch (error) {
-        console.log('⚠ Player monitoring error:', error.message);
+        this.detectionLog.warn('⚠ Player monitoring error:', error.message);
       }
-    }, 60000); // Check every 1 minute (60 seconds)
+    }, this.config.detection.monitorInterval);
   }
 
   stopPlayerMonitoring() {
     if (this.playerCheckInterval) {
-      clearInterval(this.playerCheckInterval);
+      this.timers.clear(this.playerCheckInterval);
       this.playerCheckInterval = null;
     }
   }
@@ -770,202 +900,197 @@ class MinecraftBot {
   startFastPlayerDetection() {
     if (this.fastPlayerCheckInterval) return;
 
-    console.log('🔍 Starting ultra-fast player detection (500ms intervals)');
+    this.detectionLog.info(`🔍 Starting ultra-fast player detection (${this.config.detection.fastInterval}ms intervals)`);
 
-    // Ultra-fast detection every 500ms for immediate exit
-    this.fastPlayerCheckInterval = setInterval(() => {
+    // Ultra-fast detection for immediate exit
+    this.fastPlayerCheckInterval = this.timers.setInterval(() => {
+      // Once a "stay" runs out or the yield policy changes its mind, the next scan sends the bot away
       if (!this.connected || !this.bot || this.isHidingFromPlayers) return;
 
       try {
-        const playerList = Object.keys(this.bot.players);
-        console.log(`🔎 Scanning ${playerList.length} players...`);
-
-        // More aggressive real player detection
-        const realPlayers = playerList.filter(playerName => {
-          const player = this.bot.players[playerName];
-
-          // Skip our own bot
-          if (playerName === this.currentUsername) return false;
-
-          // More comprehensive bot username patterns
-          const isBotPattern = 
-            playerName.startsWith('DARK_WORLD') || 
-            playerName.startsWith('AFK') ||
-            playerName.startsWith('BOT') ||
-            playerName.includes('_BOT') ||
-            playerName.includes('BOT_') ||
-            /^[A-Z_]+_\d+$/.test(playerName) || // WORD_NUMBER
-            /^[A-Z]+\d+$/.test(playerName) ||   // WORDNUMBER
-            playerName.toLowerCase().includes('afk') ||
-            playerName.toLowerCase().includes('bot');
-
-          // Player must have valid entity and not match bot patterns
-          const isRealPlayer = !isBotPattern && player && player.entity;
-
-          if (isRealPlayer) {
-            console.log(`🚨 REAL PLAYER DETECTED: ${playerName}`);
-            console.log(`   - UUID: ${player.uuid}`);
-            console.log(`   - Has entity: ${!!player.entity}`);
+        const players = Object.values(this.bot.players);
+        this.detectionLog.debug(`🔎 Scanning ${players.length} players...`);
+
+        const classifications = this.classifyPlayers(players);
+        const realPlayers = this.presence.getRealPlayers();
+        if (!this.shouldYieldTo(realPlayers)) return;
+
+        realPlayers.forEach((username) => {
+          const classification = classifications.find(candidate => candidate.username === username);
+          this.detectionLog.info(`🚨 REAL PLAYER DETECTED: ${username}`);
+          if (classification) {
+            this.detectionLog.info(`   - UUID: ${classification.uuid}`);
+            this.detectionLog.info(`   - Matched: ${classification.rule}`);
           }
-
-          return isRealPlayer;
         });
 
         if (realPlayers.length > 0) {
-          console.log('⚡⚡⚡ IMMEDIATE EXIT TRIGGERED! ⚡⚡⚡');
-          console.log(`Real players: ${realPlayers.join(', ')}`);
-          console.log('🚪 Bot disconnecting NOW...');
+          this.detectionLog.info('⚡⚡⚡ IMMEDIATE EXIT TRIGGERED! ⚡⚡⚡');
+          this.detectionLog.info(`Real players: ${realPlayers.join(', ')}`);
+          this.detectionLog.info('🚪 Bot disconnecting NOW...');
           this.forceExitForRealPlayers(realPlayers);
         }
       } catch (error) {
-        console.log('⚠ Fast detection error:', error.message);
+        this.detectionLog.warn('⚠ Fast detection error:', error.message);
       }
-    }, 500); // Check every 500ms (twice per second)
+    }, this.config.detection.fastInterval);
   }
 
   stopFastPlayerDetection() {
     if (this.fastPlayerCheckInterval) {
-      clearInterval(this.fastPlayerCheckInterval);
+      this.timers.clear(this.fastPlayerCheckInterval);
       this.fastPlayerCheckInterval = null;
     }
   }
 
-  forceExitForRealPlayers(realPlayers) {
-    if (this.isHidingFromPlayers) return; // Already hiding
+  forceExitForRealPlayers(realPlayers, reason = `real players: ${realPlayers.join(', ')}`) {
+    if (!this.state.can('emergency_exit_for_real_players')) return;
 
-    console.log('🚨 FORCE EXIT INITIATED 🚨');
-
-    this.isHidingFromPlayers = true;
+    // Set before the transition so the ended session records who caused the hide
     this.realPlayersOnline = new Set(realPlayers);
 
-    // Stop all activities immediately
-    this.stopActivity();
-    this.stopFastPlayerDetection();
+    // Entering the hiding state stops all activities immediately
+    this.state.transition('emergency_exit_for_real_players', reason);
 
-    console.log('🔒 Bot entering EMERGENCY stealth mode');
-    console.log(`📝 Detected real players: ${realPlayers.join(', ')}`);
+    this.detectionLog.info('🚨 FORCE EXIT INITIATED 🚨');
+
+    this.detectionLog.info('🔒 Bot entering EMERGENCY stealth mode');
+    this.detectionLog.info(`📝 Detected real players: ${realPlayers.join(', ')}`);
 
     // Immediate disconnect with no delay
     if (this.bot && typeof this.bot.quit === 'function') {
       try {
-        console.log('💨 Quitting bot NOW...');
+        this.detectionLog.info('💨 Quitting bot NOW...');
         this.bot.quit('EMERGENCY EXIT - Real player detected');
       } catch (error) {
-        console.log('⚠ Error in emergency quit:', error.message);
+        this.detectionLog.warn('⚠ Error in emergency quit:', error.message);
         // Force disconnect if quit fails
         if (this.bot.end) this.bot.end();
       }
     }
 
-    this.connected = false;
-    this.status = 'emergency_exit_for_real_players';
-
     // Cancel any scheduled reconnects
     if (this.reconnectTimeout) {
-      clearTimeout(this.reconnectTimeout);
+      this.timers.clear(this.reconnectTimeout);
       this.reconnectTimeout = null;
     }
 
-    console.log('✅ Bot successfully exited for real players');
-    this.startAdvancedMonitoring();
+    this.detectionLog.info('✅ Bot successfully exited for real players');
+    this.emit('hiding', { realPlayers, reason: 'emergency exit' });
+    this.notifyHiding(realPlayers, reason);
   }
 
   exitForRealPlayers() {
-    if (this.isHidingFromPlayers) return; // Already hiding
+    if (!this.state.transition('waiting_for_players_to_leave', 'real player joined')) return;
 
-    this.isHidingFromPlayers = true;
-    this.stopActivity();
-
-    console.log('🔒 Bot entering stealth mode - will monitor server externally');
+    this.detectionLog.info('🔒 Bot entering stealth mode - will monitor server externally');
 
     // Disconnect immediately but don't set isShuttingDown
     if (this.bot && typeof this.bot.quit === 'function') {
       try {
         this.bot.quit('Real player joined - giving space');
       } catch (error) {
-        console.log('⚠ Error quitting for real players:', error.message);
+        this.detectionLog.warn('⚠ Error quitting for real players:', error.message);
       }
     }
 
-    this.connected = false;
-    this.status = 'waiting_for_players_to_leave';
-
     // Cancel any scheduled reconnects
     if (this.reconnectTimeout) {
-      clearTimeout(this.reconnectTimeout);
+      this.timers.clear(this.reconnectTimeout);
       this.reconnectTimeout = null;
     }
 
-    // Start advanced monitoring - try to reconnect periodically to check players
-    this.startAdvancedMonitoring();
+    this.emit('hiding', { realPlayers: Array.from(this.realPlayersOnline), reason: 'player monitoring' });
+    this.notifyHiding(Array.from(this.realPlayersOnline), 'real player joined');
   }
 
   startAdvancedMonitoring() {
     if (this.advancedMonitoringInterval) {
-      clearInterval(this.advancedMonitoringInterval);
+      this.timers.clear(this.advancedMonitoringInterval);
     }
 
     let checkAttempts = 0;
-    const maxChecks = 300; // Maximum 300 checks (10 minutes total with 2-second intervals)
+    let checking = false;
 
-    this.advancedMonitoringInterval = setInterval(() => {
+    // Poll the status ping until no real players are listed any more
+    this.advancedMonitoringInterval = this.timers.setInterval(async () => {
+      if (checking || this.manualHide) return;
+      checking = true;
       checkAttempts++;
-      console.log(`🔍 Advanced monitoring check ${checkAttempts}/${maxChecks} - Waiting ${checkAttempts * 2} seconds`);
 
-      // Wait much longer before assuming players left - 5 minutes minimum
-      if (checkAttempts >= 150) { // 150 * 2 seconds = 5 minutes
-        console.log('⏰ 5 minutes passed - attempting careful return');
-        this.realPlayersOnline.clear();
-        this.returnAfterPlayersLeft();
-        return;
-      }
+      try {
+        const ping = await this.probeServer();
+        if (!this.isHidingFromPlayers) return;
+
+        const realPlayers = this.getRealPlayersFromPing(ping);
+        this.realPlayersOnline = new Set(realPlayers);
+
+        if (realPlayers.length > 0 && this.shouldYieldTo(realPlayers)) {
+          this.detectionLog.debug(`🔍 Advanced monitoring check ${checkAttempts} - real players still online: ${realPlayers.join(', ')}`);
+          return;
+        }
 
-      // Maximum monitoring time - 10 minutes
-      if (checkAttempts >= maxChecks) {
-        console.log('⏰ Maximum monitoring time reached (10 minutes) - forcing return');
-        this.realPlayersOnline.clear();
+        if (realPlayers.length > 0) {
+          this.detectionLog.info(`✅ Yield policy allows returning (${this.yieldPolicy.lastDecision.reason})`);
+        } else if (ping.online) {
+          this.detectionLog.info('✅ Status ping shows no real players - returning');
+        } else {
+          this.detectionLog.info('📴 Server not answering status ping - returning to normal reconnect handling');
+        }
         this.returnAfterPlayersLeft();
+      } finally {
+        checking = false;
       }
-    }, 2000); // Check every 2 seconds
+    }, this.config.detection.hidingPollInterval);
   }
 
   stopAdvancedMonitoring() {
     if (this.advancedMonitoringInterval) {
-      clearInterval(this.advancedMonitoringInterval);
+      this.timers.clear(this.advancedMonitoringInterval);
       this.advancedMonitoringInterval = null;
     }
   }
 
   returnAfterPlayersLeft() {
-    if (!this.isHidingFromPlayers) return; // Not hiding
+    if (!this.state.transition('returning', 'real players left')) return;
 
-    this.isHidingFromPlayers = false;
-    this.stopAdvancedMonitoring();
-
-    console.log('🤖 All clear! Preparing to return to server with delay...');
+    this.detectionLog.info('🤖 All clear! Preparing to return to server with delay...');
 
     // Add a reasonable delay before reconnecting to avoid throttling
-    setTimeout(() => {
+    this.timers.setTimeout(() => {
       if (!this.isShuttingDown && !this.connected && !this.isHidingFromPlayers) {
-        console.log('🔄 Now attempting to reconnect after player monitoring...');
+        this.detectionLog.info('🔄 Now attempting to reconnect after player monitoring...');
         this.connect();
       } else {
-        console.log('🚫 Reconnection cancelled - bot state changed');
+        this.detectionLog.info('🚫 Reconnection cancelled - bot state changed');
       }
-    }, 10000); // 10 second delay to prevent rapid reconnections
+    }, this.config.reconnect.returnDelay); // Delay to prevent rapid reconnections
   }
 
-  switchToNextUsername() {
+  // The base name plus _-separated suffixes, with the base cut short so the whole name stays
+  // within the 16 characters Minecraft allows
+  makeUsername(...suffixes) {
+    const tail = suffixes.map(suffix => `_${suffix}`).join('');
+    return this.baseUsername.slice(0, 16 - tail.length) + tail;
+  }
+
+  switchToNextUsername(reason = 'manual') {
+    const previousUsername = this.currentUsername;
+
     // Keep trying next usernames until we find one that's not banned
     do {
       this.usernameCounter++;
       // Add random suffix to reduce conflicts
       const randomSuffix = Math.floor(Math.random() * 100);
-      this.currentUsername = `${this.baseUsername}_${this.usernameCounter}_${randomSuffix}`;
+      this.currentUsername = this.makeUsername(this.usernameCounter, randomSuffix);
     } while (this.bannedUsernames.has(this.currentUsername));
 
-    console.log(`🔄 Switched to new username: ${this.currentUsername}`);
-    console.log(`📊 Banned usernames: ${this.bannedUsernames.size}`);
+    this.previousUsername = previousUsername;
+    this.connectionLog.info(`🔄 Switched to new username: ${this.currentUsername}`);
+    this.connectionLog.info(`📊 Banned usernames: ${this.bannedUsernames.size}`);
+    this.metric.usernameSwitches.inc({ reason });
+    this.persistState();
+    this.emit('usernameSwitched', { previous: previousUsername, username: this.currentUsername });
   }
 
   getStatus() {
@@ -973,36 +1098,145 @@ class MinecraftBot {
       connected: this.connected,
       status: this.status,
       lastError: this.lastError,
+      lastErrorCategory: this.lastErrorCategory,
       username: this.currentUsername,
       server: `${this.config.host}:${this.config.port}`,
       bannedUsernames: Array.from(this.bannedUsernames),
       usernameCounter: this.usernameCounter,
       realPlayersOnline: Array.from(this.realPlayersOnline),
-      isHidingFromPlayers: this.isHidingFromPlayers
+      isHidingFromPlayers: this.isHidingFromPlayers,
+      manualHide: this.manualHide,
+      activityPaused: this.activityPaused,
+      behavior: this.behaviors.getStatus(),
+      safeIdle: this.safeIdle.getStatus(),
+      survival: this.survival.getStatus(),
+      stayUntil: this.isStaying() ? new Date(this.stayUntil).toISOString() : null,
+      following: this.chatCommands.followTarget,
+      schedule: this.getScheduleStatus(),
+      yieldPolicy: { ...this.yieldPolicy.getStatus(), idle: this.yieldIdle },
+      starter: this.starter.getStatus(),
+      playerClassifications: Array.from(this.playerClassifications.values()),
+      disconnectHistory: this.store.getDisconnectHistory().slice(-20),
+      reconnect: this.reconnectPolicy.getState(),
+      stateHistory: this.state.getHistory()
     };
   }
 
-  disconnect() {
-    this.isShuttingDown = true;
-    this.stopActivity();
-    this.stopPlayerMonitoring();
-    this.stopFastPlayerDetection();
-    this.stopAdvancedMonitoring();
-    if (this.reconnectTimeout) {
-      clearTimeout(this.reconnectTimeout);
-      this.reconnectTimeout = null;
+  // Control entry points below return false when the action doesn't apply in the current state
+
+  start() {
+    this.isShuttingDown = false;
+    if (!this.state.can('connecting')) return false;
+    this.connect();
+    return true;
+  }
+
+  pauseActivity() {
+    this.activityPaused = true;
+    if (this.bot && typeof this.bot.clearControlStates === 'function') {
+      this.bot.clearControlStates();
     }
+    this.activityLog.info('⏸️ Activity paused');
+    return true;
+  }
+
+  resumeActivity() {
+    this.activityPaused = false;
+    this.activityLog.info('▶️ Activity resumed');
+    return true;
+  }
+
+  forceHide(reason = 'manual hide') {
+    if (!this.state.can('emergency_exit_for_real_players')) return false;
+    this.manualHide = true;
+    this.forceExitForRealPlayers([], reason);
+    return true;
+  }
+
+  forceReturn() {
+    if (!this.isHidingFromPlayers) return false;
+    this.manualHide = false;
+    this.realPlayersOnline.clear();
+    this.returnAfterPlayersLeft();
+    return true;
+  }
+
+  switchUsername() {
+    const online = this.state.transition('switching_username', 'manual username switch');
+    this.switchToNextUsername();
+    if (!online) return true;
+
+    // Leave with the old name and come back with the new one
     if (this.bot && typeof this.bot.quit === 'function') {
       try {
         this.bot.quit();
       } catch (error) {
-        console.log('⚠ Error quitting bot:', error.message);
+        this.connectionLog.warn('⚠ Error quitting bot:', error.message);
       }
-      this.bot = null;
     }
-    this.connected = false;
-    this.status = 'disconnected';
+    this.timers.setTimeout(() => {
+      if (!this.isShuttingDown) {
+        this.connect();
+      }
+    }, this.config.reconnect.usernameSwitchDelay);
+    return true;
+  }
+
+  clearBannedUsernames() {
+    this.bannedUsernames.clear();
+    this.persistState();
+    this.connectionLog.info('🧹 Cleared banned usernames');
+    return true;
+  }
+
+  // Resolves once the bot has left the server and none of its timers are left
+  async disconnect(timeout = 5000) {
+    this.isShuttingDown = true;
+    this.state.transition('stopped', 'shutdown');
+    this.reconnectTimeout = null;
+    this.timers.clearAll();
+
+    const bot = this.bot;
+    this.bot = null;
+    await Promise.all([this.quitBot(bot, timeout), this.notifier.stop()]);
+    this.timers.clearAll(); // Anything the connection's last events scheduled
+    this.connectionLog.info('👋 Disconnected');
+  }
+
+  // Resolves when the connection has closed, or after `timeout` if the server never answers
+  quitBot(bot, timeout) {
+    if (!bot || typeof bot.quit !== 'function' || bot.hasEnded) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.connectionLog.warn(`⚠ Connection still open after ${timeout / 1000}s, giving up on a clean quit`);
+        resolve();
+      }, timeout);
+      bot.once('end', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      try {
+        bot.quit();
+      } catch (error) {
+        this.connectionLog.warn('⚠ Error quitting bot:', error.message);
+        clearTimeout(timer);
+        resolve();
+      }
+    });
   }
 }
 
+// Lifecycle events emitted for live dashboards and other listeners
+MinecraftBot.EVENTS = [
+  'connecting',
+  'spawned',
+  'kicked',
+  'playerJoined',
+  'playerLeft',
+  'hiding',
+  'returning',
+  'usernameSwitched'
+];
+
 module.exports = MinecraftBot;
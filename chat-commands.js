@@ -0,0 +1,222 @@
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000 };
+
+// "30m", "2h", "45s"; a bare number means minutes
+function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)([smh]?)$/i.exec(text || '');
+  if (!match) return null;
+  return Math.round(Number(match[1]) * DURATION_UNITS[(match[2] || 'm').toLowerCase()]);
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h${minutes % 60 ? ` ${minutes % 60}m` : ''}` : `${minutes}m`;
+}
+
+// Minecraft drops chat messages longer than this
+const MAX_CHAT_LENGTH = 256;
+
+// "!afkbot <command>" handling for in-game operators, over public chat and whispers
+class ChatCommands {
+  constructor(owner, options = {}) {
+    this.owner = owner; // The MinecraftBot instance
+    this.enabled = options.enabled !== false;
+    this.prefix = (options.prefix || '!afkbot').toLowerCase();
+    this.operators = new Set((options.operators || []).map(name => name.toLowerCase()));
+    this.operatorUuids = new Set((options.operatorUuids || []).map(normalizeUuid));
+    this.leaveDuration = options.leaveDuration || 600000;
+    this.maxStay = options.maxStay || 4 * 3600000;
+    this.log = owner.connectionLog.child('chat');
+    this.followInterval = null;
+    this.followTarget = null;
+    this.returnTimer = null;
+
+    this.commands = {
+      help: () => `Commands: ${Object.keys(this.commands).join(', ')}`,
+      status: () => this.status(),
+      leave: (args, sender, respond) => this.leave(args, sender, respond),
+      stay: args => this.stay(args),
+      follow: (args, sender) => this.follow(args, sender),
+      sleep: () => this.sleep()
+    };
+  }
+
+  // Names are spoofable on cracked servers, so prefer listing UUIDs where the server has stable ones
+  isOperator(username, uuid) {
+    if (uuid && this.operatorUuids.has(normalizeUuid(uuid))) return true;
+    return Boolean(username) && this.operators.has(username.toLowerCase());
+  }
+
+  // True while a command is steering the bot, so random activity keeps its hands off
+  isBusy() {
+    return this.followTarget !== null || Boolean(this.owner.bot && this.owner.bot.isSleeping);
+  }
+
+  attach(bot) {
+    if (!this.enabled) return;
+
+    bot.on('chat', (username, message) => this.handle(bot, username, message, false));
+    bot.on('whisper', (username, message) => this.handle(bot, username, message, true));
+  }
+
+  handle(bot, username, message, whispered) {
+    if (bot !== this.owner.bot || username === bot.username) return;
+
+    const [prefix, name, ...args] = message.trim().split(/\s+/);
+    if (!prefix || prefix.toLowerCase() !== this.prefix) return;
+
+    const player = bot.players[username];
+    if (!this.isOperator(username, player && player.uuid)) {
+      this.log.warn(`🔒 Ignoring chat command from non-operator ${username}: ${message}`);
+      return;
+    }
+
+    const key = (name || 'help').toLowerCase();
+    const command = Object.hasOwn(this.commands, key) ? this.commands[key] : null;
+    this.log.info(`💬 ${username} ran: ${message}`);
+    // For commands that must answer before they act, e.g. leave
+    const respond = text => this.reply(bot, username, text, whispered);
+    let reply;
+    try {
+      reply = command ? command(args, username, respond) : `Unknown command "${name}". ${this.commands.help()}`;
+    } catch (error) {
+      this.log.warn('⚠ Chat command failed:', error.message);
+      reply = `Command failed: ${error.message}`;
+    }
+    Promise.resolve(reply).then(text => this.reply(bot, username, text, whispered));
+  }
+
+  reply(bot, username, text, whispered) {
+    if (!text || bot !== this.owner.bot || !this.owner.connected) return;
+
+    const line = text.slice(0, MAX_CHAT_LENGTH - username.length - 10);
+    try {
+      if (whispered) {
+        bot.whisper(username, line);
+      } else {
+        bot.chat(line);
+      }
+    } catch (error) {
+      this.log.warn('⚠ Could not send chat reply:', error.message);
+    }
+  }
+
+  status() {
+    const owner = this.owner;
+    const staying = owner.isStaying() ? `, staying ${formatDuration(owner.stayUntil - Date.now())} more` : '';
+    const uptime = owner.sessionHistory.getSummary().last24hUptimePercent;
+    return `${owner.status} as ${owner.currentUsername}, ${uptime}% uptime (24h)${staying}`;
+  }
+
+  leave(args, sender, respond) {
+    const duration = args[0] ? parseDuration(args[0]) : this.leaveDuration;
+    if (!duration) return 'Usage: leave [duration, e.g. 30m]';
+    if (!this.owner.state.can('emergency_exit_for_real_players')) return `Cannot leave while ${this.owner.status}`;
+
+    // A reply returned from here would arrive after we're gone, so acknowledge first
+    respond(`OK, leaving for ${formatDuration(duration)}`);
+    this.stopFollowing();
+    this.owner.stayUntil = null;
+    this.owner.forceHide(`requested by ${sender}`);
+
+    this.log.info(`👋 Leaving for ${formatDuration(duration)} at ${sender}'s request`);
+    this.owner.timers.clear(this.returnTimer);
+    this.returnTimer = this.owner.timers.setTimeout(() => {
+      this.returnTimer = null;
+      if (this.owner.manualHide) this.owner.forceReturn();
+    }, duration);
+    return null;
+  }
+
+  stay(args) {
+    if (args[0] === 'off') {
+      this.owner.stayUntil = null;
+      return 'OK, I will leave again when real players join';
+    }
+
+    const duration = parseDuration(args[0] || '30m');
+    if (!duration) return 'Usage: stay <duration, e.g. 30m> | stay off';
+
+    const capped = Math.min(duration, this.maxStay);
+    this.owner.stayUntil = Date.now() + capped;
+    return `OK, staying online for ${formatDuration(capped)} even with players around`;
+  }
+
+  follow(args, sender) {
+    if (args[0] === 'stop') {
+      this.stopFollowing();
+      return 'Stopped following';
+    }
+
+    if (this.owner.safeIdle.active) return 'Following is off in safe idle mode';
+
+    const targetName = args[0] || sender;
+    const target = this.owner.bot.players[targetName];
+    if (!target || !target.entity) return `I can't see ${targetName}`;
+
+    this.stopFollowing();
+    this.owner.behaviors.finish();
+    this.followTarget = targetName;
+    this.followInterval = this.owner.timers.setInterval(() => this.followStep(), 250);
+    return `Following ${targetName} ("follow stop" to stop)`;
+  }
+
+  // Walks straight at the target; there's no pathfinding, so obstacles are handled by jumping
+  followStep() {
+    const bot = this.owner.bot;
+    const target = bot && this.owner.connected && bot.players[this.followTarget];
+    if (!target || !target.entity) {
+      this.log.info(`🚶 Lost sight of ${this.followTarget}, no longer following`);
+      this.stopFollowing();
+      return;
+    }
+    if (this.owner.survival.isBusy()) return;
+
+    const distance = bot.entity.position.distanceTo(target.entity.position);
+    bot.lookAt(target.entity.position.offset(0, target.entity.height || 1.6, 0));
+    bot.setControlState('forward', distance > 2.5);
+    bot.setControlState('sprint', distance > 8);
+    bot.setControlState('jump', distance > 2.5 && bot.entity.isCollidedHorizontally);
+  }
+
+  stopFollowing() {
+    if (this.followInterval) {
+      this.owner.timers.clear(this.followInterval);
+      this.followInterval = null;
+    }
+    if (this.followTarget && this.owner.bot && typeof this.owner.bot.clearControlStates === 'function') {
+      this.owner.bot.clearControlStates();
+    }
+    this.followTarget = null;
+  }
+
+  async sleep() {
+    const bot = this.owner.bot;
+    const bed = bot.findBlock({ matching: block => bot.isABed(block), maxDistance: 4 });
+    if (!bed) return 'No bed within reach';
+
+    this.stopFollowing();
+    try {
+      await bot.sleep(bed);
+      return 'Sleeping 💤';
+    } catch (error) {
+      return `Can't sleep: ${error.message}`;
+    }
+  }
+
+  // Called when the bot leaves the server; timers tied to a live connection end here
+  reset() {
+    this.stopFollowing();
+  }
+
+  stop() {
+    this.stopFollowing();
+    this.owner.timers.clear(this.returnTimer);
+    this.returnTimer = null;
+  }
+}
+
+function normalizeUuid(uuid) {
+  return String(uuid).replace(/-/g, '').toLowerCase();
+}
+
+module.exports = ChatCommands;
@@ -0,0 +1,447 @@
+const fs = require('fs');
+const path = require('path');
+const Notifier = require('./notifier');
+const PresenceSchedule = require('./presence-schedule');
+const YieldPolicy = require('./yield-policy');
+const PlayerClassifier = require('./player-classifier');
+const ServerStarter = require('./server-starter');
+
+// Every setting the bot understands. Keys are dotted paths into the resolved config;
+// each one can come from the config file, an environment variable or a --flag.
+const SCHEMA = {
+  host: { type: 'string', default: 'SAMEER05404.aternos.me', env: 'MC_HOST' },
+  port: { type: 'integer', default: 25565, min: 1, max: 65535, env: 'MC_PORT' },
+  username: { type: 'string', default: 'VISITOR_BOT', pattern: /^[a-zA-Z0-9_]{1,16}$/, env: 'MC_USERNAME' },
+  stateFile: { type: 'string', default: 'bot-state.json' },
+  classifierFile: { type: 'string', default: 'classifier.json', env: 'CLASSIFIER_CONFIG' },
+  classifier: { type: 'object', default: {} },
+  // One entry per bot to run, e.g. [{ "id": "survival", "host": "a.aternos.me" }]; every
+  // per-bot setting above can be overridden, the rest is inherited. Empty runs a single bot.
+  bots: { type: 'array', default: [] },
+
+  'logging.level': { type: 'string', default: 'info', enum: ['debug', 'info', 'warn', 'error', 'silent'], env: 'LOG_LEVEL' },
+  'logging.format': { type: 'string', default: 'text', enum: ['text', 'json'], env: 'LOG_FORMAT' },
+  'logging.file': { type: 'string', default: null, nullable: true, env: 'LOG_FILE' },
+  'logging.maxFileSize': { type: 'integer', default: 10 * 1024 * 1024, min: 1024 },
+  'logging.maxFiles': { type: 'integer', default: 5, min: 1 },
+
+  'http.port': { type: 'integer', default: 5000, min: 1, max: 65535, env: 'PORT' },
+  // Bearer token for the POST /control routes; the control API is disabled without one
+  'http.controlToken': { type: 'string', default: null, nullable: true, env: 'CONTROL_TOKEN' },
+
+  // Longest a SIGINT/SIGTERM shutdown may take before the process exits anyway
+  'shutdown.timeout': { type: 'integer', default: 10000, min: 1000, env: 'SHUTDOWN_TIMEOUT' },
+
+  'history.retentionDays': { type: 'integer', default: 30, min: 1, env: 'HISTORY_RETENTION_DAYS' },
+  'history.maxSessions': { type: 'integer', default: 5000, min: 1 },
+
+  // Webhooks as [{ "url": "...", "format": "json" | "discord", "events": ["banned", "hiding"] }]
+  'notifications.webhooks': { type: 'array', default: [] },
+  // Shortcut for a single Discord webhook that receives every event
+  'notifications.discordWebhook': { type: 'string', default: null, nullable: true, env: 'DISCORD_WEBHOOK_URL' },
+  'notifications.dedupWindow': { type: 'integer', default: 300000, min: 0 },
+  'notifications.rateLimit': { type: 'integer', default: 10, min: 1 },
+  'notifications.rateWindow': { type: 'integer', default: 60000, min: 1000 },
+  'notifications.retries': { type: 'integer', default: 3, min: 0 },
+  'notifications.retryDelay': { type: 'integer', default: 2000, min: 100 },
+
+  'chatCommands.enabled': { type: 'boolean', default: true },
+  'chatCommands.prefix': { type: 'string', default: '!afkbot' },
+  // Players allowed to use chat commands; names are spoofable on cracked servers, UUIDs less so
+  'chatCommands.operators': { type: 'array', default: [], items: 'string' },
+  'chatCommands.operatorUuids': { type: 'array', default: [], items: 'string' },
+  // By default operators don't count as real players, so they can talk to the bot without it leaving
+  'chatCommands.operatorsCountAsPlayers': { type: 'boolean', default: false },
+  'chatCommands.leaveDuration': { type: 'integer', default: 600000, min: 1000 },
+  'chatCommands.maxStay': { type: 'integer', default: 4 * 60 * 60 * 1000, min: 60000 },
+
+  'schedule.timezone': { type: 'string', default: 'UTC', env: 'SCHEDULE_TIMEZONE' },
+  'schedule.defaultMode': { type: 'string', default: 'present_if_no_players', enum: PresenceSchedule.MODES },
+  // Weekly windows { "mode": "absent", "days": ["mon"], "from": "23:00", "to": "07:00" } or cron
+  // windows { "mode": "present", "cron": "* 18-21 * * 6,0" }; the first matching window wins
+  'schedule.windows': { type: 'array', default: [] },
+  // One-off windows { "start": "2026-05-01T02:00:00Z", "end": "...", "mode": "absent", "reason": "backup" }
+  'schedule.maintenance': { type: 'array', default: [] },
+
+  // Duplicate logins and bans reconnect under a new username; these back off in case the next one fails too
+  'reconnect.duplicateLoginDelay': { type: 'integer', default: 5000, min: 0 },
+  'reconnect.duplicateLoginMaxDelay': { type: 'integer', default: 60000, min: 0 },
+  'reconnect.bannedDelay': { type: 'integer', default: 1000, min: 0 },
+  'reconnect.bannedMaxDelay': { type: 'integer', default: 300000, min: 0 },
+  'reconnect.throttledDelay': { type: 'integer', default: 60000, min: 0 },
+  'reconnect.throttledMaxDelay': { type: 'integer', default: 600000, min: 0 },
+  'reconnect.networkDelay': { type: 'integer', default: 20000, min: 0 },
+  'reconnect.networkMaxDelay': { type: 'integer', default: 300000, min: 0 },
+  'reconnect.serverFullDelay': { type: 'integer', default: 30000, min: 0 },
+  'reconnect.serverFullMaxDelay': { type: 'integer', default: 300000, min: 0 },
+  // Whitelist and outdated-client rejections won't fix themselves quickly
+  'reconnect.rejectedDelay': { type: 'integer', default: 300000, min: 0 },
+  'reconnect.rejectedMaxDelay': { type: 'integer', default: 3600000, min: 0 },
+  'reconnect.defaultDelay': { type: 'integer', default: 10000, min: 0 },
+  'reconnect.defaultMaxDelay': { type: 'integer', default: 300000, min: 0 },
+  'reconnect.multiplier': { type: 'number', default: 2, min: 1 },
+  'reconnect.minDelay': { type: 'integer', default: 1000, min: 0 },
+  'reconnect.stableSession': { type: 'integer', default: 300000, min: 0 },
+  'reconnect.breakerThreshold': { type: 'integer', default: 10, min: 1 },
+  'reconnect.breakerCooldown': { type: 'integer', default: 600000, min: 1000 },
+  'reconnect.usernameSwitchDelay': { type: 'integer', default: 3000, min: 0 },
+  'reconnect.returnDelay': { type: 'integer', default: 10000, min: 0 },
+
+  'serverWait.maxAttempts': { type: 'integer', default: 60, min: 1 },
+  'serverWait.fastAttempts': { type: 'integer', default: 10, min: 0 },
+  'serverWait.fastDelay': { type: 'integer', default: 15000, min: 1000 },
+  'serverWait.slowDelay': { type: 'integer', default: 30000, min: 1000 },
+
+  // Starting a server we host ourselves once it has been offline for offlineFor ms, at most once per
+  // cooldown: "shell" runs command, "http" POSTs body (default { host, port }) to url, "docker" starts
+  // container, and "stub" only reports stubOutcome. No backend leaves the bot just waiting.
+  'starter.backend': { type: 'string', default: null, nullable: true, enum: ServerStarter.BACKENDS, env: 'SERVER_STARTER' },
+  'starter.command': { type: 'string', default: null, nullable: true, env: 'SERVER_START_COMMAND' },
+  'starter.url': { type: 'string', default: null, nullable: true, env: 'SERVER_START_URL' },
+  'starter.headers': { type: 'object', default: {} },
+  'starter.body': { type: 'object', default: null, nullable: true },
+  'starter.container': { type: 'string', default: null, nullable: true, env: 'SERVER_START_CONTAINER' },
+  'starter.stubOutcome': { type: 'string', default: 'success', enum: ['success', 'failure'] },
+  'starter.offlineFor': { type: 'integer', default: 120000, min: 0 },
+  'starter.cooldown': { type: 'integer', default: 600000, min: 0 },
+  'starter.timeout': { type: 'integer', default: 60000, min: 1000 },
+
+  'detection.fastInterval': { type: 'integer', default: 500, min: 100 },
+  'detection.monitorInterval': { type: 'integer', default: 60000, min: 1000 },
+  // Presence tracking: confirm joins/leaves only after a player has been seen/gone this long (ms),
+  // so relogs don't flap the bot; spectators are often vanished staff, who still see the bot
+  'presence.joinDebounce': { type: 'integer', default: 0, min: 0 },
+  'presence.leaveDebounce': { type: 'integer', default: 10000, min: 0 },
+  'presence.countSpectators': { type: 'boolean', default: true },
+  'presence.maxTracked': { type: 'integer', default: 200, min: 1 },
+  // What to do when real players are online; see yield-policy.js. freeSlots is for leave_when_full,
+  // players for leave_for_listed and stayFor (ms) for stay_then_leave
+  'yield.policy': { type: 'string', default: 'always_leave', enum: YieldPolicy.POLICIES, env: 'YIELD_POLICY' },
+  'yield.freeSlots': { type: 'integer', default: 2, min: 0 },
+  'yield.players': { type: 'array', default: [], items: 'string' },
+  'yield.stayFor': { type: 'integer', default: 600000, min: 0 },
+
+  'detection.hidingPollInterval': { type: 'integer', default: 15000, min: 1000 },
+
+  'activity.minInterval': { type: 'integer', default: 2000, min: 500 },
+  'activity.maxInterval': { type: 'integer', default: 5000, min: 500 },
+  'activity.minDuration': { type: 'integer', default: 1500, min: 0 },
+  'activity.maxDuration': { type: 'integer', default: 5500, min: 0 },
+  'activity.jumpChance': { type: 'number', default: 0.4, min: 0, max: 1 },
+  'activity.turnJumpChance': { type: 'number', default: 0.3, min: 0, max: 1 },
+
+  // Safe idle: stay within safeIdle.radius blocks of the anchor (default: first spawn point), run only
+  // behaviors marked safe, and refuse every dig/place/activate call
+  'safeIdle.enabled': { type: 'boolean', default: false, env: 'SAFE_IDLE' },
+  'safeIdle.radius': { type: 'number', default: 3, min: 1, max: 32 },
+  'safeIdle.anchor': { type: 'object', default: null, nullable: true },
+
+  // Survival: eat below these food/health levels (out of 20), run from hostile mobs within fleeRadius
+  // blocks (0 to never run), and never walk off drops higher than maxDrop blocks
+  'survival.enabled': { type: 'boolean', default: true, env: 'SURVIVAL' },
+  'survival.eatBelowFood': { type: 'integer', default: 14, min: 0, max: 20 },
+  'survival.eatBelowHealth': { type: 'integer', default: 10, min: 0, max: 20 },
+  'survival.fleeRadius': { type: 'number', default: 8, min: 0, max: 32 },
+  'survival.maxDrop': { type: 'integer', default: 3, min: 1, max: 20 },
+  'survival.respawnDelay': { type: 'integer', default: 2000, min: 0 },
+
+  // Behavior names to run (null runs every loaded behavior) and weight overrides, e.g. { "dig": 0 }
+  'behaviors.enabled': { type: 'array', default: null, nullable: true, items: 'string' },
+  'behaviors.weights': { type: 'object', default: {} },
+  // Extra behavior modules; a module here replaces the built-in one with the same name
+  'behaviors.directory': { type: 'string', default: null, nullable: true, env: 'BEHAVIORS_DIR' }
+};
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// reconnect.throttledDelay -> BOT_RECONNECT_THROTTLED_DELAY
+function envName(key) {
+  return 'BOT_' + key.replace(/\./g, '_').replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((node, part) => (node[part] = node[part] || {}), object);
+  target[last] = value;
+}
+
+// Lists every leaf key in a config file so unknown settings can be reported
+function leafKeys(object, prefix = '') {
+  return Object.entries(object).flatMap(([key, value]) => {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (SCHEMA[fullKey]) return [fullKey];
+    if (value && typeof value === 'object' && !Array.isArray(value)) return leafKeys(value, fullKey);
+    return [fullKey];
+  });
+}
+
+// Accepts --key=value, --key value and bare --flag (true)
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      args[key] = inlineValue;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      args[key] = argv[++i];
+    } else {
+      args[key] = 'true';
+    }
+  }
+  return args;
+}
+
+// Raw values from env and CLI are strings; file values are already typed
+function coerce(value, spec) {
+  if (typeof value !== 'string') return value;
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number':
+      return value.trim() === '' ? NaN : Number(value);
+    case 'boolean':
+      if (value === 'true' || value === '1') return true;
+      if (value === 'false' || value === '0') return false;
+      return value;
+    case 'object':
+    case 'array':
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+function validate(value, spec, rawValue) {
+  if (spec.nullable && value === null) return null;
+
+  const valid = {
+    string: () => typeof value === 'string' && value.length > 0,
+    integer: () => Number.isInteger(value),
+    number: () => typeof value === 'number' && !Number.isNaN(value),
+    boolean: () => typeof value === 'boolean',
+    array: () => Array.isArray(value),
+    object: () => value !== null && typeof value === 'object' && !Array.isArray(value)
+  }[spec.type];
+
+  if (!valid()) return `expected ${spec.type}, got ${JSON.stringify(rawValue)}`;
+  if (spec.items) {
+    const index = value.findIndex(item => typeof item !== spec.items || item.length === 0);
+    if (index !== -1) return `[${index}]: expected ${spec.items}, got ${JSON.stringify(value[index])}`;
+  }
+  if (spec.min !== undefined && value < spec.min) return `must be >= ${spec.min}, got ${value}`;
+  if (spec.max !== undefined && value > spec.max) return `must be <= ${spec.max}, got ${value}`;
+  if (spec.enum && !spec.enum.includes(value)) return `must be one of ${spec.enum.join(', ')}, got ${JSON.stringify(value)}`;
+  if (spec.pattern && !spec.pattern.test(value)) return `must match ${spec.pattern}, got ${JSON.stringify(value)}`;
+  return null;
+}
+
+function checkRanges(config, where, errors) {
+  if (config.activity.minInterval > config.activity.maxInterval) {
+    errors.push(`${where}activity.minInterval must not be greater than ${where}activity.maxInterval`);
+  }
+  if (config.activity.minDuration > config.activity.maxDuration) {
+    errors.push(`${where}activity.minDuration must not be greater than ${where}activity.maxDuration`);
+  }
+  const anchor = config.safeIdle.anchor;
+  if (anchor && !['x', 'y', 'z'].every(axis => typeof anchor[axis] === 'number')) {
+    errors.push(`${where}safeIdle.anchor: must be { x, y, z } numbers, got ${JSON.stringify(anchor)}`);
+  }
+  Object.entries(config.behaviors.weights || {})
+    .filter(([, weight]) => typeof weight !== 'number' || !(weight >= 0))
+    .forEach(([name, weight]) => errors.push(`${where}behaviors.weights.${name}: must be a number >= 0, got ${JSON.stringify(weight)}`));
+}
+
+function checkWebhooks(config, where, errors) {
+  if (!Array.isArray(config.notifications.webhooks)) return;
+
+  const events = ['*', ...Notifier.EVENTS];
+  config.notifications.webhooks.forEach((webhook, index) => {
+    const label = `${where}notifications.webhooks[${index}]`;
+    if (!webhook || typeof webhook !== 'object' || !/^https?:\/\//.test(webhook.url || '')) {
+      errors.push(`${label}: needs an http(s) url`);
+      return;
+    }
+    if (webhook.format !== undefined && !['json', 'discord'].includes(webhook.format)) {
+      errors.push(`${label}.format: must be one of json, discord, got ${JSON.stringify(webhook.format)}`);
+    }
+    if (webhook.events !== undefined && (!Array.isArray(webhook.events) || webhook.events.some(event => !events.includes(event)))) {
+      errors.push(`${label}.events: must be a list of ${events.join(', ')}`);
+    }
+  });
+}
+
+// Classifier rules may also live in their own file; inline config wins
+function loadClassifier(botConfig, where, errors) {
+  let fileConfig = {};
+  try {
+    fileConfig = PlayerClassifier.loadConfig(botConfig.classifierFile);
+  } catch (error) {
+    errors.push(`${where}classifierFile: could not parse ${path.resolve(botConfig.classifierFile)} (${error.message})`);
+  }
+  botConfig.classifier = { ...fileConfig, ...botConfig.classifier };
+  PlayerClassifier.validate(botConfig.classifier).forEach(error => errors.push(`${where}classifier.${error}`));
+}
+
+// Settings owned by the process as a whole, which a bot entry cannot override
+const SHARED_PREFIXES = ['bots', 'logging.', 'http.', 'shutdown.'];
+const BOT_ID_PATTERN = /^[a-zA-Z0-9_-]{1,32}$/;
+
+function isSharedKey(key) {
+  return SHARED_PREFIXES.some(prefix => key === prefix || key.startsWith(prefix));
+}
+
+// Expands config.bots into one complete config per bot, validated like the top level
+function resolveBots(config, errors) {
+  const { bots, ...base } = config;
+  if (bots.length === 0) {
+    return [{ ...base, id: 'default' }];
+  }
+
+  const seen = new Map();
+  return bots.map((entry, index) => {
+    const where = `bots[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${where}: expected object, got ${JSON.stringify(entry)}`);
+      return null;
+    }
+    const { id, ...overrides } = entry;
+    if (typeof id !== 'string' || !BOT_ID_PATTERN.test(id)) {
+      errors.push(`${where}.id: must match ${BOT_ID_PATTERN}, got ${JSON.stringify(id)}`);
+    }
+
+    const botConfig = JSON.parse(JSON.stringify(base));
+    botConfig.id = id;
+    // Each bot needs its own state file so usernames and bans stay separate
+    botConfig.stateFile = `${base.stateFile.replace(/\.json$/, '')}-${id}.json`;
+
+    leafKeys(overrides).forEach((key) => {
+      const spec = SCHEMA[key];
+      if (!spec) {
+        errors.push(`${where}.${key}: unknown setting`);
+        return;
+      }
+      if (isSharedKey(key)) {
+        errors.push(`${where}.${key}: cannot be set per bot`);
+        return;
+      }
+      const rawValue = getPath(overrides, key);
+      const value = coerce(rawValue, spec);
+      const error = validate(value, spec, rawValue);
+      if (error) errors.push(`${where}.${key}: ${error}`);
+      setPath(botConfig, key, value);
+    });
+
+    checkRanges(botConfig, `${where}.`, errors);
+    checkWebhooks(botConfig, `${where}.`, errors);
+    PresenceSchedule.validate(botConfig.schedule).forEach(error => errors.push(`${where}.schedule.${error}`));
+    ServerStarter.validate(botConfig.starter).forEach(error => errors.push(`${where}.starter.${error}`));
+
+    const identity = `${botConfig.host}:${botConfig.port}/${botConfig.username}`;
+    [['id', id], ['stateFile', botConfig.stateFile], ['server and username', identity]].forEach(([label, value]) => {
+      const key = `${label}=${value}`;
+      if (seen.has(key)) {
+        errors.push(`${where}: same ${label} as ${seen.get(key)} (${value})`);
+      }
+      seen.set(key, where);
+    });
+    return botConfig;
+  });
+}
+
+// Merges defaults < config file < environment < CLI flags, then validates the result
+function loadConfig(options = {}) {
+  const argv = options.argv || process.argv.slice(2);
+  const env = options.env || process.env;
+  const args = parseArgs(argv);
+  const errors = [];
+
+  const configPath = args.config || env.BOT_CONFIG || 'config.json';
+  let fileConfig = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      errors.push(`${path.resolve(configPath)}: could not parse JSON (${error.message})`);
+    }
+  } else if (args.config || env.BOT_CONFIG) {
+    errors.push(`Config file not found: ${path.resolve(configPath)}`);
+  }
+
+  leafKeys(fileConfig)
+    .filter(key => !SCHEMA[key])
+    .forEach(key => errors.push(`${key} (config file): unknown setting`));
+
+  Object.keys(args)
+    .filter(key => key !== 'config' && !SCHEMA[key])
+    .forEach(key => errors.push(`--${key}: unknown flag`));
+
+  const config = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    let value = spec.default;
+    let source = 'default';
+
+    const envKey = spec.env && env[spec.env] !== undefined ? spec.env : envName(key);
+    if (getPath(fileConfig, key) !== undefined) {
+      value = getPath(fileConfig, key);
+      source = 'config file';
+    }
+    if (env[envKey] !== undefined && env[envKey] !== '') {
+      value = env[envKey];
+      source = `env ${envKey}`;
+    }
+    if (args[key] !== undefined) {
+      value = args[key];
+      source = `--${key}`;
+    }
+
+    const rawValue = value;
+    value = coerce(value, spec);
+    const error = validate(value, spec, rawValue);
+    if (error) {
+      errors.push(`${key} (from ${source}): ${error}`);
+    }
+    setPath(config, key, value);
+  }
+
+  checkRanges(config, '', errors);
+  checkWebhooks(config, '', errors);
+  PresenceSchedule.validate(config.schedule).forEach(error => errors.push(`schedule.${error}`));
+  ServerStarter.validate(config.starter).forEach(error => errors.push(`starter.${error}`));
+
+  if (Array.isArray(config.bots)) {
+    const perBot = config.bots.length > 0;
+    config.bots = resolveBots(config, errors);
+    config.bots.forEach((botConfig, index) => {
+      if (botConfig) loadClassifier(botConfig, perBot ? `bots[${index}].` : '', errors);
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+  return config;
+}
+
+module.exports = {
+  loadConfig,
+  ConfigError,
+  SCHEMA
+};
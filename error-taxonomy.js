@@ -0,0 +1,119 @@
+// Typed categories for connection errors and kick reasons, so callers branch on
+// a category instead of searching message text.
+const ErrorCategory = {
+  NETWORK: 'network',
+  THROTTLED: 'throttled',
+  BANNED: 'banned',
+  WHITELIST: 'whitelist',
+  DUPLICATE_LOGIN: 'duplicate_login',
+  OUTDATED_CLIENT: 'outdated_client',
+  SERVER_FULL: 'server_full',
+  PROTOCOL_NOISE: 'protocol_noise',
+  UNKNOWN: 'unknown'
+};
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+const NETWORK_MESSAGES = [/read ECONNRESET/, /socket hang up/i, /client timed out/i, /Network connection failed/i];
+
+// Packet decoding problems that don't warrant a reconnect
+const PROTOCOL_NOISE_MESSAGES = [
+  /Chunk size mismatch/i,
+  /explosion packet/i,
+  /Invalid packet/i,
+  /Unknown packet/i,
+  /\bpacket\b/i,
+  /Protocol error/i,
+  /parse ?error/i,
+  /PartialReadError/,
+  /chunk/i
+];
+
+// Vanilla translation keys for disconnect screens, checked before any free text
+const KICK_TRANSLATIONS = {
+  'multiplayer.disconnect.banned': ErrorCategory.BANNED,
+  'multiplayer.disconnect.banned.reason': ErrorCategory.BANNED,
+  'multiplayer.disconnect.banned.expiration': ErrorCategory.BANNED,
+  'multiplayer.disconnect.banned_ip.reason': ErrorCategory.BANNED,
+  'multiplayer.disconnect.not_whitelisted': ErrorCategory.WHITELIST,
+  'multiplayer.disconnect.duplicate_login': ErrorCategory.DUPLICATE_LOGIN,
+  'multiplayer.disconnect.outdated_client': ErrorCategory.OUTDATED_CLIENT,
+  'multiplayer.disconnect.incompatible': ErrorCategory.OUTDATED_CLIENT,
+  'multiplayer.disconnect.server_full': ErrorCategory.SERVER_FULL
+};
+
+// Plugin and proxy kick messages that don't use translation keys
+const KICK_MESSAGES = [
+  [/throttled|wait before reconnecting/i, ErrorCategory.THROTTLED],
+  [/duplicate[_ ]login|logged in from another location/i, ErrorCategory.DUPLICATE_LOGIN],
+  [/white-?list/i, ErrorCategory.WHITELIST],
+  [/outdated (client|server)|incompatible client/i, ErrorCategory.OUTDATED_CLIENT],
+  [/server is full/i, ErrorCategory.SERVER_FULL],
+  [/\bbanned\b|\bban\b/i, ErrorCategory.BANNED]
+];
+
+function classifyError(err) {
+  if (!err) return ErrorCategory.UNKNOWN;
+  if (err.code && NETWORK_CODES.includes(err.code)) return ErrorCategory.NETWORK;
+
+  const message = err.message || String(err);
+  if (NETWORK_MESSAGES.some(pattern => pattern.test(message))) return ErrorCategory.NETWORK;
+  if (PROTOCOL_NOISE_MESSAGES.some(pattern => pattern.test(message))) return ErrorCategory.PROTOCOL_NOISE;
+  return ErrorCategory.UNKNOWN;
+}
+
+// Newer servers send NBT-style components that wrap every value as { type, value }
+function unwrapNbt(node) {
+  while (node && typeof node === 'object' && !Array.isArray(node) && 'type' in node && 'value' in node) {
+    node = node.value;
+  }
+  return node;
+}
+
+// Kick reasons arrive as plain strings, JSON strings or chat component objects
+function parseChatComponent(reason) {
+  if (typeof reason === 'string') {
+    try {
+      return parseChatComponent(JSON.parse(reason));
+    } catch (error) {
+      return { text: reason, translations: [] };
+    }
+  }
+
+  const result = { text: '', translations: [] };
+  const visit = (node) => {
+    node = unwrapNbt(node);
+    if (node === null || node === undefined) return;
+    if (typeof node === 'string' || typeof node === 'number') {
+      result.text += String(node);
+    } else if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (typeof node === 'object') {
+      if (node.translate) result.translations.push(String(unwrapNbt(node.translate)));
+      if (node.text !== undefined) visit(node.text);
+      if (node[''] !== undefined) visit(node['']);
+      if (node.with) visit(node.with);
+      if (node.extra) visit(node.extra);
+    }
+  };
+  visit(reason);
+  result.text = result.text.replace(/§./g, '');
+  return result;
+}
+
+function classifyKickReason(reason) {
+  const { text, translations } = parseChatComponent(reason);
+  const translated = translations.map(key => KICK_TRANSLATIONS[key]).find(Boolean);
+  if (translated) return { category: translated, text, translations };
+
+  const searchable = `${translations.join(' ')} ${text}`;
+  const match = KICK_MESSAGES.find(([pattern]) => pattern.test(searchable));
+  return { category: match ? match[1] : ErrorCategory.UNKNOWN, text, translations };
+}
+
+module.exports = {
+  ErrorCategory,
+  classifyError,
+  classifyKickReason,
+  parseChatComponent
+};
@@ -0,0 +1,262 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const readline = require('readline');
+const mc = require('minecraft-protocol');
+const logger = require('./logger');
+
+const log = logger.child('fake-server');
+
+const VERSION = '1.20.1';
+
+// Kick messages the way vanilla servers and common plugins phrase them
+const KICK_REASONS = {
+  banned: { translate: 'multiplayer.disconnect.banned' },
+  throttled: { text: 'Connection throttled! Please wait before reconnecting.' },
+  duplicate_login: { translate: 'multiplayer.disconnect.duplicate_login' },
+  server_full: { translate: 'multiplayer.disconnect.server_full' },
+  whitelist: { translate: 'multiplayer.disconnect.not_whitelisted' }
+};
+
+const GAME_MODES = { survival: 0, creative: 1, adventure: 2, spectator: 3 };
+
+// An in-process Minecraft server that speaks just enough of the protocol for mineflayer to log in
+// and spawn, so reconnect, kick and hide handling can be exercised without a real server.
+// There is no world: the bot floats at spawn and every event is scripted through the methods below.
+class FakeServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.port = options.port || 0; // 0 picks a free port
+    this.host = options.host || '127.0.0.1';
+    this.autoSpawn = options.autoSpawn !== false;
+    this.motd = options.motd || 'Fake server';
+    this.maxPlayers = options.maxPlayers || 20;
+    this.pingVersion = null; // { name, protocol } answered to status pings instead of the real version
+    this.server = null;
+    this.clients = new Map(); // username -> connected client
+    this.players = new Map(); // username -> { uuid, gamemode }; tab list entries without a connection
+    this.loginRejection = null; // { reason, remaining }
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = mc.createServer({
+        host: this.host,
+        port: this.port,
+        version: VERSION,
+        'online-mode': false,
+        motd: this.motd,
+        maxPlayers: this.maxPlayers,
+        beforePing: response => this.buildPing(response)
+      });
+      this.server.once('error', reject);
+      this.server.once('listening', () => {
+        this.port = this.server.socketServer.address().port;
+        log.info(`🧪 Fake server listening on ${this.host}:${this.port} (${VERSION})`);
+        resolve(this.port);
+      });
+      this.server.on('playerJoin', client => this.accept(client));
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    this.clients.clear();
+    return new Promise(resolve => {
+      server.socketServer.once('close', resolve);
+      server.close();
+    });
+  }
+
+  // Tab list as seen by every client: connected bots plus scripted players
+  tabList() {
+    const entries = new Map();
+    this.clients.forEach((client, username) => entries.set(username, { uuid: client.uuid, gamemode: 0 }));
+    this.players.forEach((player, username) => entries.set(username, player));
+    return entries;
+  }
+
+  buildPing(response) {
+    const entries = Array.from(this.tabList().entries());
+    response.players.online = entries.length;
+    response.players.sample = entries.map(([name, { uuid }]) => ({ name, id: uuid }));
+    if (this.pingVersion) response.version = { ...this.pingVersion };
+    return response;
+  }
+
+  // Answers status pings the way proxies like Aternos do while the server behind them is down,
+  // e.g. { name: '§4● Offline', protocol: -1 }; null restores the real version
+  setPingVersion(version) {
+    this.pingVersion = version;
+  }
+
+  accept(client) {
+    const { username } = client;
+    if (this.loginRejection) {
+      const { reason } = this.loginRejection;
+      if (--this.loginRejection.remaining <= 0) this.loginRejection = null;
+      log.info(`🚫 Rejecting login from ${username}`);
+      client.end(String(reason), kickMessage(reason));
+      this.emit('rejected', { username, reason });
+      return;
+    }
+
+    this.clients.set(username, client);
+    client.on('end', () => {
+      if (this.clients.get(username) !== client) return;
+      this.clients.delete(username);
+      this.broadcast('player_remove', { players: [client.uuid] });
+      this.emit('left', { username });
+    });
+    client.on('error', error => log.debug(`⚠ Client ${username} error:`, error.message));
+
+    log.info(`🔐 ${username} logged in`);
+    this.emit('login', { username, client });
+    if (this.autoSpawn) this.spawn(username);
+  }
+
+  // Sends what mineflayer needs before it emits 'spawn': login, position, tab list and health
+  spawn(username) {
+    const client = this.clients.get(username);
+    if (!client) throw new Error(`${username} is not connected`);
+
+    const loginPacket = require('minecraft-data')(VERSION).loginPacket;
+    client.write('login', {
+      ...loginPacket,
+      entityId: client.id,
+      maxPlayers: this.server.maxPlayers,
+      viewDistance: 2,
+      simulationDistance: 2
+    });
+    client.write('position', { x: 0.5, y: 64, z: 0.5, yaw: 0, pitch: 0, flags: 0, teleportId: 1 });
+    this.broadcast('player_info', playerInfo(username, { uuid: client.uuid, gamemode: 0 }));
+    this.tabList().forEach((player, name) => {
+      if (name !== username) client.write('player_info', playerInfo(name, player));
+    });
+    client.write('update_health', { health: 20, food: 20, foodSaturation: 5 });
+    this.emit('spawned', { username });
+  }
+
+  // reason is a KICK_REASONS key or free text
+  kick(username, reason = 'Kicked by an operator') {
+    const client = this.clients.get(username);
+    if (!client) return false;
+    log.info(`👢 Kicking ${username}: ${typeof reason === 'string' ? reason : JSON.stringify(reason)}`);
+    client.end(String(reason), kickMessage(reason));
+    return true;
+  }
+
+  // Kicks the next `count` logins with `reason` before they spawn, like a ban list or a throttle
+  rejectLogins(reason, count = 1) {
+    this.loginRejection = reason ? { reason, remaining: count } : null;
+  }
+
+  // Closes the socket without a disconnect packet, like a crash or a network failure
+  dropConnection(username) {
+    const client = this.clients.get(username);
+    if (!client) return false;
+    log.info(`✂️ Dropping ${username}'s connection`);
+    client.socket.destroy();
+    return true;
+  }
+
+  addPlayer(username, { uuid = offlineUuid(username), gamemode = 'survival' } = {}) {
+    const player = { uuid, gamemode: GAME_MODES[gamemode] !== undefined ? GAME_MODES[gamemode] : gamemode };
+    this.players.set(username, player);
+    this.broadcast('player_info', playerInfo(username, player));
+    log.info(`➕ ${username} joined the tab list`);
+  }
+
+  removePlayer(username) {
+    const player = this.players.get(username);
+    if (!player) return false;
+    this.players.delete(username);
+    this.broadcast('player_remove', { players: [player.uuid] });
+    log.info(`➖ ${username} left the tab list`);
+    return true;
+  }
+
+  broadcast(packet, data) {
+    this.clients.forEach((client) => {
+      if (client.state === mc.states.PLAY) client.write(packet, data);
+    });
+  }
+
+  // Resolves with the next event of that name, optionally only for one username
+  waitFor(event, username = null, timeout = 30000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.off(event, listener);
+        reject(new Error(`Timed out waiting for ${event}${username ? ` from ${username}` : ''}`));
+      }, timeout);
+      const listener = (data) => {
+        if (username && data.username !== username) return;
+        clearTimeout(timer);
+        this.off(event, listener);
+        resolve(data);
+      };
+      this.on(event, listener);
+    });
+  }
+}
+
+function kickMessage(reason) {
+  return JSON.stringify(KICK_REASONS[reason] || (typeof reason === 'string' ? { text: reason } : reason));
+}
+
+function playerInfo(username, { uuid, gamemode }) {
+  return {
+    action: { add_player: true, update_game_mode: true, update_listed: true, update_latency: true },
+    data: [{ uuid, player: { name: username, properties: [] }, gamemode, listed: 1, latency: 20 }]
+  };
+}
+
+// Same UUID an offline-mode server derives from the name
+function offlineUuid(username) {
+  const hash = crypto.createHash('md5').update(`OfflinePlayer:${username}`).digest();
+  hash[6] = (hash[6] & 0x0f) | 0x30;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+  const hex = hash.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Reads commands from stdin when run directly, e.g. `node fake-server.js 25570`, then
+// `node index.js --port 25570` in another terminal
+function runInteractive(port) {
+  const server = new FakeServer({ port });
+  const commands = {
+    join: ([name, gamemode]) => server.addPlayer(name, { gamemode }),
+    leave: ([name]) => server.removePlayer(name),
+    kick: ([name, ...reason]) => server.kick(name, reason.join(' ') || undefined),
+    reject: ([reason, count]) => server.rejectLogins(reason, Number(count) || 1),
+    drop: ([name]) => server.dropConnection(name),
+    list: () => log.info(`👥 ${Array.from(server.tabList().keys()).join(', ') || 'nobody'}`),
+    stop: () => server.stop().then(() => process.exit(0))
+  };
+
+  server.start().then(() => {
+    log.info(`Commands: ${Object.keys(commands).join(', ')}; kick reasons: ${Object.keys(KICK_REASONS).join(', ')}`);
+    readline.createInterface({ input: process.stdin }).on('line', (line) => {
+      const [name, ...args] = line.trim().split(/\s+/);
+      if (!name) return;
+      if (!Object.hasOwn(commands, name)) {
+        log.warn(`⚠ Unknown command "${name}"`);
+        return;
+      }
+      try {
+        commands[name](args);
+      } catch (error) {
+        log.warn(`⚠ ${name} failed:`, error.message);
+      }
+    }).on('close', () => server.stop().then(() => process.exit(0)));
+  });
+}
+
+if (require.main === module) {
+  runInteractive(Number(process.argv[2]) || 25570);
+}
+
+FakeServer.KICK_REASONS = KICK_REASONS;
+
+module.exports = FakeServer;
@@ -1,67 +1,98 @@
 
-const MinecraftBot = require('./bot');
+const BotManager = require('./bot-manager');
 const StatusServer = require('./server');
+const { loadConfig, ConfigError } = require('./config');
+const logger = require('./logger');
 
-// Configuration - Replace with your Aternos server details
-const config = {
-  host: process.env.MC_HOST || 'SAMEER05404.aternos.me',
-  port: parseInt(process.env.MC_PORT) || 25565,
-  username: process.env.MC_USERNAME || 'VISITOR_BOT'.replace(/[^a-zA-Z0-9_]/g, '_')
-};
-
-console.log('🚀 Starting Minecraft AFK Bot...');
-console.log('📋 Configuration:', {
-  host: config.host,
-  port: config.port,
-  username: config.username
+const log = logger.child('app');
+
+// Configuration - merged from config.json, environment variables and --flags
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (error instanceof ConfigError) {
+    log.error('❌ ' + error.message);
+    process.exit(1);
+  }
+  throw error;
+}
+
+logger.configure(config.logging);
+
+log.info('🚀 Starting Minecraft AFK Bot...');
+config.bots.forEach((botConfig) => {
+  log.info(`📋 Bot ${botConfig.id}:`, {
+    host: botConfig.host,
+    port: botConfig.port,
+    username: botConfig.username
+  });
 });
 
-// Create bot instance
-const bot = new MinecraftBot(config);
+// One bot per configured server
+const manager = new BotManager(config.bots);
 
 // Create and start web server
-const server = new StatusServer(bot);
+const server = new StatusServer(manager, config.http);
 
 async function start() {
   try {
     // Start the web server first
-    await server.start(5000);
+    await server.start();
 
-    // Then start the bot
-    bot.connect();
+    // Then start the bots
+    manager.start();
 
-    console.log('✅ Application started successfully!');
-    console.log('🤖 Bot will automatically connect and reconnect as needed');
-    console.log('🌐 Visit the status page to monitor the bot');
+    log.info('✅ Application started successfully!');
+    log.info('🤖 Bot will automatically connect and reconnect as needed');
+    log.info('🌐 Visit the status page to monitor the bot');
 
   } catch (error) {
-    console.error('❌ Failed to start application:', error);
+    log.error('❌ Failed to start application:', error);
     process.exit(1);
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down...');
-  bot.disconnect();
-  server.stop();
-  process.exit(0);
-});
+// Handle graceful shutdown: wait for the bots to leave and the web server to close, but never
+// longer than shutdown.timeout; a second signal exits immediately
+let shuttingDown = false;
 
-process.on('SIGTERM', () => {
-  console.log('\n🛑 Shutting down...');
-  bot.disconnect();
-  server.stop();
+async function shutdown(signal) {
+  if (shuttingDown) {
+    log.warn(`⚠ ${signal} received again, exiting now`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  log.info(`🛑 Shutting down (${signal})...`);
+
+  const deadline = setTimeout(() => {
+    log.error(`❌ Shutdown did not finish within ${config.shutdown.timeout / 1000}s, exiting anyway`);
+    process.exit(1);
+  }, config.shutdown.timeout);
+
+  await Promise.all([manager.disconnect(), server.stop()]);
+  clearTimeout(deadline);
+  log.info('✅ Shutdown complete');
   process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// Toggle debug logging at runtime without a restart
+process.on('SIGUSR2', () => {
+  const baseLevel = config.logging.level === 'debug' ? 'info' : config.logging.level;
+  logger.setLevel(logger.getLevel() === 'debug' ? baseLevel : 'debug');
+  log.info(`🔧 Log level changed to ${logger.getLevel()}`);
 });
 
 // Handle uncaught errors
 process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error);
+  log.error('❌ Uncaught Exception:', error);
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+  log.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
 });
 
 start();
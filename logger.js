@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Output settings shared by the root logger and every component child
+const sink = {
+  level: 'info',
+  componentLevels: {},
+  format: 'text', // text or json
+  console: true,
+  file: null,
+  maxFileSize: 10 * 1024 * 1024,
+  maxFiles: 5,
+  fileSize: 0
+};
+
+function formatArgs(args) {
+  return util.format(...args.map(arg => (arg instanceof Error ? arg.stack || arg.message : arg)));
+}
+
+function rotate() {
+  // The oldest file is dropped, then app.log.4 -> app.log.5, ..., app.log -> app.log.1
+  const oldest = `${sink.file}.${sink.maxFiles}`;
+  if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+  for (let index = sink.maxFiles - 1; index >= 1; index--) {
+    const from = `${sink.file}.${index}`;
+    if (fs.existsSync(from)) fs.renameSync(from, `${sink.file}.${index + 1}`);
+  }
+  if (fs.existsSync(sink.file)) fs.renameSync(sink.file, `${sink.file}.1`);
+  sink.fileSize = 0;
+}
+
+function writeToFile(line) {
+  try {
+    const bytes = Buffer.byteLength(line) + 1;
+    if (sink.fileSize > 0 && sink.fileSize + bytes > sink.maxFileSize) rotate();
+    fs.appendFileSync(sink.file, line + '\n');
+    sink.fileSize += bytes;
+  } catch (error) {
+    // Never let a full disk or bad path take the bot down; fall back to the console only
+    process.stderr.write(`Log file write failed (${error.message}), disabling file output\n`);
+    sink.file = null;
+  }
+}
+
+class Logger {
+  // Context fields (e.g. { bot: 'survival' }) are added to every line this logger writes
+  constructor(component = 'app', context = {}) {
+    this.component = component;
+    this.context = context;
+  }
+
+  child(component, context = this.context) {
+    return new Logger(component, context);
+  }
+
+  configure(options = {}) {
+    if (options.level) this.setLevel(options.level);
+    if (options.format) sink.format = options.format;
+    if (options.console !== undefined) sink.console = options.console;
+    if (options.maxFileSize) sink.maxFileSize = options.maxFileSize;
+    if (options.maxFiles) sink.maxFiles = options.maxFiles;
+    if (options.file) {
+      sink.file = path.resolve(options.file);
+      fs.mkdirSync(path.dirname(sink.file), { recursive: true });
+      sink.fileSize = fs.existsSync(sink.file) ? fs.statSync(sink.file).size : 0;
+    }
+    return this;
+  }
+
+  // Changes the level at runtime, either globally or for a single component
+  setLevel(level, component = null) {
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown log level: ${level} (expected ${Object.keys(LEVELS).join(', ')})`);
+    }
+    if (component) {
+      sink.componentLevels[component] = level;
+    } else {
+      sink.level = level;
+      sink.componentLevels = {};
+    }
+  }
+
+  getLevel(component = this.component) {
+    return sink.componentLevels[component] || sink.level;
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.getLevel()];
+  }
+
+  log(level, message, ...args) {
+    if (!this.isEnabled(level)) return;
+
+    const time = new Date().toISOString();
+    const text = formatArgs([message, ...args]);
+    const tag = [this.component, ...Object.values(this.context)].join(':');
+    const line = sink.format === 'json'
+      ? JSON.stringify({ time, level, component: this.component, ...this.context, msg: text })
+      : `${time} ${level.toUpperCase().padEnd(5)} [${tag}] ${text}`;
+
+    if (sink.console) {
+      const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+      stream.write(line + '\n');
+    }
+    if (sink.file) writeToFile(line);
+  }
+
+  debug(message, ...args) {
+    this.log('debug', message, ...args);
+  }
+
+  info(message, ...args) {
+    this.log('info', message, ...args);
+  }
+
+  warn(message, ...args) {
+    this.log('warn', message, ...args);
+  }
+
+  error(message, ...args) {
+    this.log('error', message, ...args);
+  }
+}
+
+const logger = new Logger();
+logger.LEVELS = LEVELS;
+
+module.exports = logger;
@@ -0,0 +1,124 @@
+// Minimal Prometheus metrics registry (text exposition format 0.0.4)
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+class Metric {
+  constructor(type, name, help, defaultLabels = {}) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.defaultLabels = defaultLabels;
+    this.values = new Map(); // labelKey -> { labels, value }
+  }
+
+  entry(labels) {
+    labels = { ...this.defaultLabels, ...labels };
+    const key = labelKey(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels, value: 0 });
+    }
+    return this.values.get(key);
+  }
+
+  get(labels = {}) {
+    return this.entry(labels).value;
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  samples() {
+    if (this.values.size === 0 && this.type === 'counter') {
+      this.entry({});
+    }
+    return Array.from(this.values.values()).map(({ labels, value }) => {
+      const names = Object.keys(labels);
+      const labelText = names.length > 0
+        ? `{${names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`
+        : '';
+      return `${this.name}${labelText} ${value}`;
+    });
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, defaultLabels) {
+    super('counter', name, help, defaultLabels);
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) throw new Error(`Counter ${this.name} cannot decrease`);
+    this.entry(labels).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, defaultLabels) {
+    super('gauge', name, help, defaultLabels);
+  }
+
+  set(labels, value) {
+    if (value === undefined) {
+      value = labels;
+      labels = {};
+    }
+    this.entry(labels).value = value;
+  }
+}
+
+class MetricsRegistry {
+  // Default labels are added to every series, e.g. { bot: 'survival' } when several bots share a scrape
+  constructor(prefix = '', defaultLabels = {}) {
+    this.prefix = prefix;
+    this.defaultLabels = defaultLabels;
+    this.metrics = new Map();
+    this.collectHooks = [];
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(this.prefix + name, help, this.defaultLabels));
+  }
+
+  gauge(name, help) {
+    return this.register(new Gauge(this.prefix + name, help, this.defaultLabels));
+  }
+
+  // Hooks run right before rendering, for values that are cheaper to compute on scrape
+  onCollect(hook) {
+    this.collectHooks.push(hook);
+  }
+
+  render() {
+    return MetricsRegistry.renderAll([this]);
+  }
+
+  // Renders several registries as one exposition; same-named metrics share a single HELP/TYPE header
+  static renderAll(registries) {
+    const families = new Map();
+    registries.forEach((registry) => {
+      registry.collectHooks.forEach(hook => hook());
+      registry.metrics.forEach((metric, name) => {
+        if (!families.has(name)) families.set(name, metric.header());
+        families.get(name).push(...metric.samples());
+      });
+    });
+    return Array.from(families.values()).map(lines => lines.join('\n')).join('\n\n') + '\n';
+  }
+}
+
+module.exports = MetricsRegistry;
@@ -0,0 +1,168 @@
+const logger = require('./logger');
+
+// Events a webhook can subscribe to
+const NOTIFY_EVENTS = ['banned', 'kicked', 'hiding', 'server_unreachable', 'breaker_open'];
+
+// Discord embed colours per severity
+const SEVERITY_COLORS = { info: 0x17a2b8, warning: 0xffc107, critical: 0xdc3545 };
+
+// POSTs bot events to webhook URLs, as plain JSON or Discord embeds.
+// Webhook entries look like { url, format: 'json' | 'discord', events: ['banned', ...] }.
+class Notifier {
+  constructor(options = {}, source = {}) {
+    this.webhooks = (options.webhooks || []).map(webhook => ({
+      format: 'json',
+      events: ['*'],
+      ...webhook,
+      sentAt: [] // Send times inside the current rate window
+    }));
+    this.source = source; // Identifies the sending bot in every payload, e.g. { bot, server }
+    this.dedupWindow = options.dedupWindow !== undefined ? options.dedupWindow : 300000;
+    this.rateLimit = options.rateLimit || 10;
+    this.rateWindow = options.rateWindow || 60000;
+    this.retries = options.retries !== undefined ? options.retries : 3;
+    this.retryDelay = options.retryDelay || 2000;
+    this.timeout = options.timeout || 10000;
+    this.recent = new Map(); // dedup key -> last sent time
+    this.controller = new AbortController(); // Aborted by stop() to cancel deliveries in flight
+    this.deliveries = new Set(); // Pending deliver() promises
+    this.log = logger.child('notify', source.bot && source.bot !== 'default' ? { bot: source.bot } : {});
+  }
+
+  // Fire-and-forget: delivery problems are logged, never thrown at the bot
+  notify(event, { title, message, severity = 'info', fields = {} }) {
+    if (this.webhooks.length === 0) return Promise.resolve([]);
+
+    const now = Date.now();
+    const key = `${event}|${message}`;
+    if (now - (this.recent.get(key) || 0) < this.dedupWindow) {
+      this.log.debug(`🔕 Skipping duplicate ${event} notification`);
+      return Promise.resolve([]);
+    }
+    this.recent.set(key, now);
+    this.recent.forEach((sentAt, recentKey) => {
+      if (now - sentAt >= this.dedupWindow) this.recent.delete(recentKey);
+    });
+
+    const notification = { event, title, message, severity, fields, timestamp: new Date(now).toISOString() };
+    const deliveries = this.webhooks
+      .filter(webhook => webhook.events.includes('*') || webhook.events.includes(event))
+      .filter(webhook => this.takeRateSlot(webhook, now))
+      .map(webhook => this.track(this.deliver(webhook, notification, this.controller.signal)));
+    return Promise.all(deliveries);
+  }
+
+  track(delivery) {
+    this.deliveries.add(delivery);
+    delivery.finally(() => this.deliveries.delete(delivery));
+    return delivery;
+  }
+
+  // Cancels every delivery in flight, retry waits included, and resolves once they have all given up
+  async stop() {
+    const controller = this.controller;
+    this.controller = new AbortController(); // Notifications after a restart go out as usual
+    controller.abort();
+    await Promise.all(this.deliveries);
+  }
+
+  takeRateSlot(webhook, now) {
+    webhook.sentAt = webhook.sentAt.filter(sentAt => now - sentAt < this.rateWindow);
+    if (webhook.sentAt.length >= this.rateLimit) {
+      this.log.warn(`⚠ Rate limit reached for ${redact(webhook.url)}, dropping notification`);
+      return false;
+    }
+    webhook.sentAt.push(now);
+    return true;
+  }
+
+  buildPayload(webhook, notification) {
+    const fields = { ...this.source, ...notification.fields };
+
+    if (webhook.format === 'discord') {
+      return {
+        username: webhook.username || 'AFK Bot',
+        embeds: [{
+          title: notification.title,
+          description: notification.message,
+          color: SEVERITY_COLORS[notification.severity] || SEVERITY_COLORS.info,
+          fields: Object.entries(fields)
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([name, value]) => ({ name, value: String(value).slice(0, 1024), inline: true })),
+          timestamp: notification.timestamp
+        }]
+      };
+    }
+    return { ...notification, fields };
+  }
+
+  // Retries network errors, 429 and 5xx with exponential backoff; other 4xx are final
+  async deliver(webhook, notification, signal = this.controller.signal) {
+    const body = JSON.stringify(this.buildPayload(webhook, notification));
+
+    for (let attempt = 1; attempt <= this.retries + 1; attempt++) {
+      let retryAfter = null;
+      try {
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...(webhook.headers || {}) },
+          body,
+          signal: AbortSignal.any([signal, AbortSignal.timeout(this.timeout)])
+        });
+        if (response.ok) {
+          this.log.info(`📨 Sent ${notification.event} notification to ${redact(webhook.url)}`);
+          return true;
+        }
+        if (response.status !== 429 && response.status < 500) {
+          this.log.warn(`⚠ Webhook ${redact(webhook.url)} rejected ${notification.event} notification (HTTP ${response.status})`);
+          return false;
+        }
+        retryAfter = Number(response.headers.get('retry-after')) * 1000 || null;
+        this.log.warn(`⚠ Webhook ${redact(webhook.url)} answered HTTP ${response.status} (attempt ${attempt})`);
+      } catch (error) {
+        if (signal.aborted) break;
+        this.log.warn(`⚠ Webhook ${redact(webhook.url)} failed (attempt ${attempt}):`, error.message);
+      }
+
+      if (attempt <= this.retries) {
+        const delay = retryAfter || this.retryDelay * Math.pow(2, attempt - 1);
+        await sleep(delay, signal);
+      }
+      if (signal.aborted) break;
+    }
+
+    if (signal.aborted) {
+      this.log.info(`🛑 Cancelled ${notification.event} notification to ${redact(webhook.url)} on shutdown`);
+      return false;
+    }
+
+    this.log.warn(`❌ Giving up on ${notification.event} notification to ${redact(webhook.url)}`);
+    return false;
+  }
+}
+
+// Resolves after `delay`, or as soon as `signal` aborts
+function sleep(delay, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, signal.aborted ? 0 : delay);
+    signal.addEventListener('abort', done);
+  });
+}
+
+// Webhook URLs embed their secret in the path, so only the host is logged
+function redact(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid webhook URL';
+  }
+}
+
+Notifier.EVENTS = NOTIFY_EVENTS;
+
+module.exports = Notifier;
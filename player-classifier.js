@@ -0,0 +1,110 @@
+const fs = require('fs');
+
+// Default bot-name rules, previously duplicated across the detection paths
+const DEFAULT_RULES = [
+  { name: 'DARK_WORLD prefix', pattern: '^DARK_WORLD' },
+  { name: 'AFK prefix', pattern: '^AFK' },
+  { name: 'BOT prefix', pattern: '^BOT' },
+  { name: '_BOT infix', pattern: '_BOT' },
+  { name: 'BOT_ infix', pattern: 'BOT_' },
+  { name: 'WORD_NUMBER', pattern: '^[A-Z_]+_\\d+$' },
+  { name: 'WORDNUMBER', pattern: '^[A-Z]+\\d+$' },
+  { name: 'contains afk', pattern: 'afk', flags: 'i' },
+  { name: 'contains bot', pattern: 'bot', flags: 'i' }
+];
+
+// Mojang UUIDs may arrive with or without dashes
+function normalizeUuid(uuid) {
+  return uuid ? String(uuid).replace(/-/g, '').toLowerCase() : null;
+}
+
+class PlayerClassifier {
+  constructor(options = {}) {
+    // Allowlisted names are known bots that may share the server with us
+    this.allowlist = new Set((options.allowlist || []).map(name => name.toLowerCase()));
+    // Denylisted names are always treated as real players, whatever rules match
+    this.denylist = new Set((options.denylist || []).map(name => name.toLowerCase()));
+    this.rules = (options.rules || DEFAULT_RULES).map(rule => ({
+      name: rule.name || rule.pattern,
+      regex: new RegExp(rule.pattern, rule.flags || '')
+    }));
+    this.uuidOverrides = new Map();
+    Object.entries(options.uuidOverrides || {}).forEach(([uuid, kind]) => {
+      if (kind !== 'bot' && kind !== 'real') {
+        throw new Error(`Invalid UUID override for ${uuid}: expected "bot" or "real", got "${kind}"`);
+      }
+      this.uuidOverrides.set(normalizeUuid(uuid), kind);
+    });
+  }
+
+  // Returns one error string per problem, relative to "classifier."
+  static validate(options = {}) {
+    const errors = [];
+    ['allowlist', 'denylist'].forEach((key) => {
+      const names = options[key];
+      if (names !== undefined && (!Array.isArray(names) || names.some(name => typeof name !== 'string'))) {
+        errors.push(`${key}: must be a list of names`);
+      }
+    });
+
+    if (options.rules !== undefined && !Array.isArray(options.rules)) {
+      errors.push('rules: must be a list of { name, pattern, flags }');
+    } else {
+      (options.rules || []).forEach((rule, index) => {
+        if (!rule || typeof rule.pattern !== 'string') {
+          errors.push(`rules[${index}]: needs a pattern string`);
+          return;
+        }
+        try {
+          new RegExp(rule.pattern, rule.flags || '');
+        } catch (error) {
+          errors.push(`rules[${index}]: ${error.message}`);
+        }
+      });
+    }
+
+    const overrides = options.uuidOverrides;
+    if (overrides !== undefined && (!overrides || typeof overrides !== 'object' || Array.isArray(overrides))) {
+      errors.push('uuidOverrides: must map UUIDs to "bot" or "real"');
+    } else {
+      Object.entries(overrides || {})
+        .filter(([, kind]) => kind !== 'bot' && kind !== 'real')
+        .forEach(([uuid, kind]) => errors.push(`uuidOverrides.${uuid}: expected "bot" or "real", got ${JSON.stringify(kind)}`));
+    }
+    return errors;
+  }
+
+  static loadConfig(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) return {};
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // Returns { username, uuid, isBot, rule } where rule names what decided the result;
+  // selfUsername may also be a list of every name the bot has gone by
+  classify(username, uuid = null, selfUsername = null) {
+    const result = (isBot, rule) => ({ username, uuid, isBot, rule });
+    const lowerName = username.toLowerCase();
+
+    const selfUsernames = Array.isArray(selfUsername) ? selfUsername : [selfUsername];
+    if (selfUsernames.includes(username)) return result(true, 'self');
+
+    const override = this.uuidOverrides.get(normalizeUuid(uuid));
+    if (override) return result(override === 'bot', `uuid override (${override})`);
+
+    if (this.denylist.has(lowerName)) return result(false, 'denylist');
+    if (this.allowlist.has(lowerName)) return result(true, 'allowlist');
+
+    const rule = this.rules.find(candidate => candidate.regex.test(username));
+    if (rule) return result(true, `rule: ${rule.name}`);
+
+    return result(false, 'default (real player)');
+  }
+
+  isBot(username, uuid = null, selfUsername = null) {
+    return this.classify(username, uuid, selfUsername).isBot;
+  }
+}
+
+PlayerClassifier.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = PlayerClassifier;
@@ -0,0 +1,214 @@
+// When the bot should be on the server. Modes:
+//   present                - stay connected even while real players are online
+//   present_if_no_players  - the usual behaviour: connected, but leave for real players
+//   absent                 - stay off the server
+const MODES = ['present', 'present_if_no_players', 'absent'];
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTE = 60000;
+const HORIZON = 8 * 24 * 60 * MINUTE;
+
+// minute hour day-of-month month day-of-week, with *, lists, ranges and steps
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+function parseCron(expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error(`cron needs 5 fields, got "${expression}"`);
+
+  return fields.map((field, index) => {
+    const { name, min, max } = CRON_FIELDS[index];
+    const values = new Set();
+    field.split(',').forEach((part) => {
+      const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+      if (!match) throw new Error(`invalid cron ${name} "${part}"`);
+
+      const from = match[1] === '*' ? min : Number(match[2]);
+      const to = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : from;
+      const step = match[4] ? Number(match[4]) : 1;
+      if (from < min || to > max || from > to || step < 1) throw new Error(`cron ${name} out of range: "${part}"`);
+      for (let value = from; value <= to; value += step) {
+        values.add(index === 4 ? value % 7 : value);
+      }
+    });
+    return { values, restricted: field !== '*' };
+  });
+}
+
+function parseTime(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text || '');
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) throw new Error(`invalid time "${text}" (expected HH:MM)`);
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Windows are either weekly ({ mode, days, from, to }) or cron ({ mode, cron }); a cron window
+// is active during every minute its expression matches, e.g. "* 2-5 * * 1-5" is 02:00-05:59 on weekdays
+function compileWindow(window) {
+  if (!window || !MODES.includes(window.mode)) {
+    throw new Error(`mode must be one of ${MODES.join(', ')}`);
+  }
+  if (window.cron) {
+    const [minute, hour, day, month, weekday] = parseCron(window.cron);
+    return {
+      mode: window.mode,
+      matches: (local) => {
+        if (!minute.values.has(local.minute) || !hour.values.has(local.hour) || !month.values.has(local.month)) return false;
+        // Like cron, a restricted day-of-month and day-of-week match if either does
+        if (day.restricted && weekday.restricted) return day.values.has(local.day) || weekday.values.has(local.weekday);
+        return day.values.has(local.day) && weekday.values.has(local.weekday);
+      }
+    };
+  }
+
+  const days = (window.days || DAYS).map((day) => {
+    const index = DAYS.indexOf(String(day).slice(0, 3).toLowerCase());
+    if (index === -1) throw new Error(`unknown day "${day}"`);
+    return index;
+  });
+  const from = parseTime(window.from || '00:00');
+  const to = parseTime(window.to || '24:00');
+  return {
+    mode: window.mode,
+    matches: (local) => {
+      const minuteOfDay = local.hour * 60 + local.minute;
+      if (from < to) return days.includes(local.weekday) && minuteOfDay >= from && minuteOfDay < to;
+      // Windows like 22:00-06:00 run past midnight into the next day
+      return (days.includes(local.weekday) && minuteOfDay >= from) ||
+        (days.includes((local.weekday + 6) % 7) && minuteOfDay < to);
+    }
+  };
+}
+
+function compileMaintenance(window) {
+  const start = Date.parse(window && window.start);
+  const end = Date.parse(window && window.end);
+  if (Number.isNaN(start) || Number.isNaN(end) || end <= start) {
+    throw new Error('needs ISO start and end times with end after start');
+  }
+  if (window.mode !== undefined && !MODES.includes(window.mode)) {
+    throw new Error(`mode must be one of ${MODES.join(', ')}`);
+  }
+  return { mode: window.mode || 'absent', start, end, reason: window.reason || 'maintenance' };
+}
+
+class PresenceSchedule {
+  constructor(options = {}) {
+    this.timezone = options.timezone || 'UTC';
+    this.defaultMode = options.defaultMode || 'present_if_no_players';
+    this.windows = (options.windows || []).map(compileWindow);
+    this.maintenance = (options.maintenance || []).map(compileMaintenance);
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    });
+  }
+
+  // Lists problems with schedule settings instead of throwing, for config validation
+  static validate(options = {}) {
+    const errors = [];
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: options.timezone || 'UTC' });
+    } catch (error) {
+      errors.push(`timezone: unknown time zone ${JSON.stringify(options.timezone)}`);
+    }
+    (Array.isArray(options.windows) ? options.windows : []).forEach((window, index) => {
+      try {
+        compileWindow(window);
+      } catch (error) {
+        errors.push(`windows[${index}]: ${error.message}`);
+      }
+    });
+    (Array.isArray(options.maintenance) ? options.maintenance : []).forEach((window, index) => {
+      try {
+        compileMaintenance(window);
+      } catch (error) {
+        errors.push(`maintenance[${index}]: ${error.message}`);
+      }
+    });
+    return errors;
+  }
+
+  localTime(time) {
+    const parts = {};
+    this.formatter.formatToParts(new Date(time)).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+    return {
+      weekday: DAYS.indexOf(parts.weekday.toLowerCase()),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute)
+    };
+  }
+
+  // Maintenance windows win over regular windows; among each kind the first match wins.
+  // `local` saves the time zone lookup when the caller already knows the local time
+  resolve(time = Date.now(), local = null) {
+    const maintenance = this.maintenance.find(window => time >= window.start && time < window.end);
+    if (maintenance) return { mode: maintenance.mode, source: maintenance.reason };
+
+    if (!local) local = this.localTime(time);
+    const index = this.windows.findIndex(window => window.matches(local));
+    if (index !== -1) return { mode: this.windows[index].mode, source: `window ${index}` };
+    return { mode: this.defaultMode, source: 'default' };
+  }
+
+  modeAt(time = Date.now()) {
+    return this.resolve(time).mode;
+  }
+
+  isAbsent(time = Date.now()) {
+    return this.modeAt(time) === 'absent';
+  }
+
+  // First change of mode within the next eight days, or null; checked minute by minute
+  // plus the exact edges of maintenance windows. Local times are only looked up at the top of
+  // each local hour, where DST changes happen, and counted forward a minute at a time in between.
+  nextTransition(from = Date.now()) {
+    if (this.windows.length === 0 && this.maintenance.length === 0) return null;
+
+    const current = this.modeAt(from);
+    const edges = this.maintenance
+      .flatMap(window => [window.start, window.end])
+      .filter(edge => edge > from && edge <= from + HORIZON);
+    const minutes = [];
+    if (this.windows.length > 0) {
+      for (let time = Math.floor(from / MINUTE) * MINUTE + MINUTE; time <= from + HORIZON; time += MINUTE) {
+        minutes.push(time);
+      }
+    }
+
+    const candidates = Array.from(new Set(edges.concat(minutes))).sort((a, b) => a - b);
+    let local = null;
+    let localAt = null;
+    for (const time of candidates) {
+      if (time % MINUTE !== 0) {
+        local = null; // A maintenance edge between minutes
+      } else if (local && time === localAt + MINUTE && local.minute < 59) {
+        local = { ...local, minute: local.minute + 1 };
+      } else {
+        local = this.localTime(time);
+      }
+      localAt = time;
+
+      const next = this.resolve(time, local);
+      if (next.mode !== current) return { at: time, from: current, to: next.mode, source: next.source };
+    }
+    return null;
+  }
+}
+
+PresenceSchedule.MODES = MODES;
+
+module.exports = PresenceSchedule;
@@ -0,0 +1,228 @@
+const EventEmitter = require('events');
+
+const SPECTATOR = 3;
+
+// Who is on the server, combining every signal we get: the tab list (playerJoined/playerLeft/
+// playerUpdated), player entities coming into and out of view, and the status ping sample while
+// the bot is away. A player counts as present while any source still reports them; leaving is
+// only confirmed after leaveDebounce so a quick relog doesn't flap the bot in and out.
+//
+// Emits 'joined' and 'left' with the player record once a change is confirmed.
+class PresenceTracker extends EventEmitter {
+  constructor(owner, options = {}) {
+    super();
+    this.owner = owner; // The MinecraftBot instance
+    this.joinDebounce = options.joinDebounce || 0;
+    this.leaveDebounce = options.leaveDebounce !== undefined ? options.leaveDebounce : 10000;
+    this.countSpectators = options.countSpectators !== false;
+    this.maxTracked = options.maxTracked || 200;
+    this.log = owner.detectionLog.child('presence');
+    this.players = new Map(); // username -> record, including players who have left
+  }
+
+  record(username, uuid = null) {
+    let record = this.players.get(username);
+    if (!record) {
+      record = {
+        username,
+        uuid,
+        present: false,
+        inTabList: false,
+        visible: false, // Entity loaded, i.e. within render distance
+        inPing: false,
+        gamemode: null,
+        firstSeen: Date.now(),
+        lastSeen: null,
+        joinedAt: null,
+        leftAt: null,
+        timer: null // Pending join or leave confirmation
+      };
+      this.players.set(username, record);
+    }
+    if (uuid) record.uuid = uuid;
+    return record;
+  }
+
+  attach(bot) {
+    const current = () => bot === this.owner.bot;
+
+    bot.on('playerJoined', (player) => {
+      if (!current()) return;
+      this.update(player.username, { inTabList: true, gamemode: player.gamemode }, player.uuid);
+    });
+    bot.on('playerUpdated', (player) => {
+      if (!current() || !this.players.has(player.username)) return;
+      this.update(player.username, { inTabList: true, gamemode: player.gamemode }, player.uuid);
+    });
+    bot.on('playerLeft', (player) => {
+      if (!current()) return;
+      this.update(player.username, { inTabList: false, visible: false });
+    });
+    // Vanish plugins hide players from the tab list, but their entity still shows up nearby
+    bot.on('entitySpawn', (entity) => {
+      if (!current() || entity.type !== 'player' || !entity.username || entity === bot.entity) return;
+      this.update(entity.username, { visible: true }, entity.uuid);
+    });
+    bot.on('entityGone', (entity) => {
+      if (!current() || entity.type !== 'player' || !entity.username || !this.players.has(entity.username)) return;
+      this.update(entity.username, { visible: false });
+    });
+
+    // The tab list on spawn is the full truth: anyone we remembered who isn't in it has left
+    bot.once('spawn', () => {
+      if (!current()) return;
+      const listed = new Set(Object.keys(bot.players));
+      this.players.forEach((record) => {
+        if (!listed.has(record.username)) this.update(record.username, { inTabList: false, visible: false, inPing: false });
+      });
+      Object.values(bot.players).forEach((player) => {
+        this.update(player.username, { inTabList: true, visible: Boolean(player.entity), gamemode: player.gamemode, inPing: false }, player.uuid);
+      });
+    });
+  }
+
+  // While connected the tab list replaces ping data; once the connection is gone the last known
+  // state is kept as-is until a status ping or the next spawn says otherwise. The bot's own entry
+  // goes, or after a username switch it would look like a real player still on the server.
+  disconnected() {
+    const own = this.players.get(this.owner.currentUsername);
+    if (own) {
+      this.owner.timers.clear(own.timer);
+      this.players.delete(own.username);
+    }
+    this.players.forEach((record) => {
+      record.inPing = record.inTabList || record.inPing;
+      record.inTabList = false;
+      record.visible = false;
+    });
+  }
+
+  // Status ping samples list some or all online players; a sample that covers everyone also tells us
+  // who left, for certain, so those leaves skip the debounce
+  observePing(ping) {
+    if (!ping || !ping.online || !ping.players) return;
+
+    const sample = ping.players.sample || [];
+    const sampled = new Set(sample.map(player => player.name));
+    sample.forEach(player => this.update(player.name, { inPing: true }, player.id));
+    if (sample.length >= ping.players.online) {
+      this.players.forEach((record) => {
+        if (record.inPing && !sampled.has(record.username)) this.update(record.username, { inPing: false }, null, false);
+      });
+    }
+  }
+
+  update(username, changes, uuid = null, debounce = true) {
+    if (!username) return;
+    const record = this.record(username, uuid);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value !== undefined) record[key] = value;
+    });
+
+    const seen = record.inTabList || record.visible || record.inPing;
+    if (seen) record.lastSeen = Date.now();
+
+    if (seen === record.present) {
+      // Back before the pending change was confirmed: a flap, so nothing happened
+      this.cancelPending(record);
+      return;
+    }
+    if (record.timer) {
+      if (debounce) return;
+      this.owner.timers.clear(record.timer);
+      record.timer = null;
+    }
+
+    const delay = !debounce ? 0 : seen ? this.joinDebounce : this.leaveDebounce;
+    if (delay === 0) {
+      this.confirm(record, seen);
+      return;
+    }
+    record.timer = this.owner.timers.setTimeout(() => {
+      record.timer = null;
+      this.confirm(record, seen);
+    }, delay);
+  }
+
+  cancelPending(record) {
+    if (!record.timer) return;
+    this.owner.timers.clear(record.timer);
+    record.timer = null;
+    this.log.debug(`🔁 ${record.username} flapped, ignoring`);
+  }
+
+  confirm(record, present) {
+    record.present = present;
+    if (present) {
+      record.joinedAt = Date.now();
+      this.emit('joined', record);
+    } else {
+      record.leftAt = Date.now();
+      this.emit('left', record);
+      this.prune();
+    }
+  }
+
+  // Forget the players who left longest ago once there are too many records
+  prune() {
+    if (this.players.size <= this.maxTracked) return;
+    Array.from(this.players.values())
+      .filter(record => !record.present && !record.timer)
+      .sort((a, b) => a.leftAt - b.leftAt)
+      .slice(0, this.players.size - this.maxTracked)
+      .forEach(record => this.players.delete(record.username));
+  }
+
+  isSpectator(record) {
+    return record.gamemode === SPECTATOR;
+  }
+
+  // Present players that should send the bot away
+  getRealPlayers() {
+    return Array.from(this.players.values())
+      .filter(record => record.present && (this.countSpectators || !this.isSpectator(record)))
+      .filter(record => this.owner.isRealPlayer(this.classify(record)))
+      .map(record => record.username);
+  }
+
+  // Without recording it in the bot's list of visible-player classifications
+  classify(record) {
+    return this.owner.classifier.classify(record.username, record.uuid, this.owner.ownUsernames());
+  }
+
+  // Pending confirmations die with the bot's timers on shutdown
+  stop() {
+    this.players.forEach((record) => {
+      this.owner.timers.clear(record.timer);
+      record.timer = null;
+    });
+  }
+
+  getStatus() {
+    const iso = time => (time ? new Date(time).toISOString() : null);
+    const players = Array.from(this.players.values()).map((record) => {
+      const classification = this.classify(record);
+      return {
+        username: record.username,
+        uuid: record.uuid,
+        present: record.present,
+        real: this.owner.isRealPlayer(classification),
+        rule: classification.rule,
+        sources: ['tab list', 'entity', 'status ping'].filter((source, index) => [record.inTabList, record.visible, record.inPing][index]),
+        gamemode: record.gamemode,
+        spectator: this.isSpectator(record),
+        pending: record.timer ? (record.present ? 'leave' : 'join') : null,
+        firstSeen: iso(record.firstSeen),
+        lastSeen: iso(record.lastSeen),
+        joinedAt: iso(record.joinedAt),
+        leftAt: iso(record.leftAt)
+      };
+    });
+    return {
+      online: players.filter(player => player.present),
+      recent: players.filter(player => !player.present).sort((a, b) => (b.leftAt || '').localeCompare(a.leftAt || ''))
+    };
+  }
+}
+
+module.exports = PresenceTracker;
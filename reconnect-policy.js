@@ -0,0 +1,87 @@
+const logger = require('./logger');
+
+const log = logger.child('connection');
+
+// Exponential backoff with full jitter per error class, plus a circuit breaker
+// that stops hammering the server after too many consecutive failures.
+class ReconnectPolicy {
+  constructor(options = {}, random = Math.random) {
+    this.classes = options.classes || {};
+    this.multiplier = options.multiplier || 2;
+    this.minDelay = options.minDelay !== undefined ? options.minDelay : 1000;
+    this.stableSessionMs = options.stableSessionMs !== undefined ? options.stableSessionMs : 300000;
+    this.breakerThreshold = options.breakerThreshold || 10;
+    this.breakerCooldown = options.breakerCooldown || 600000;
+    this.random = random;
+
+    this.attempts = {}; // Consecutive attempts per error class
+    this.consecutiveFailures = 0;
+    this.breakerState = 'closed'; // closed, open, half_open
+    this.breakerOpenedAt = null;
+    this.lastDelay = null;
+    this.lastErrorClass = null;
+  }
+
+  // Records a failed connection and returns how long to wait before the next attempt
+  onFailure(errorClass, now = Date.now()) {
+    const settings = this.classes[errorClass] || this.classes.default || { baseDelay: 10000, maxDelay: 300000 };
+    const attempt = (this.attempts[errorClass] || 0) + 1;
+    this.attempts[errorClass] = attempt;
+    this.consecutiveFailures++;
+    this.lastErrorClass = errorClass;
+
+    // Full jitter: anywhere between zero and the exponential ceiling
+    const ceiling = Math.min(settings.maxDelay, settings.baseDelay * Math.pow(this.multiplier, attempt - 1));
+    let delay = Math.max(this.minDelay, Math.round(this.random() * ceiling));
+
+    if (this.breakerState === 'half_open' || this.consecutiveFailures >= this.breakerThreshold) {
+      if (this.breakerState !== 'open') {
+        log.info(`🔌 Circuit breaker opened after ${this.consecutiveFailures} consecutive failures`);
+      }
+      this.breakerState = 'open';
+      this.breakerOpenedAt = now;
+      delay = Math.max(delay, this.breakerCooldown);
+    }
+
+    this.lastDelay = delay;
+    return { delay, attempt, errorClass, breakerState: this.breakerState };
+  }
+
+  // Called when the delayed attempt actually starts; an open breaker lets one probe through
+  onAttempt(now = Date.now()) {
+    if (this.breakerState === 'open' && now - this.breakerOpenedAt >= this.breakerCooldown) {
+      log.info('🔌 Circuit breaker half-open - allowing a trial connection');
+      this.breakerState = 'half_open';
+    }
+  }
+
+  // Only a session that stayed up long enough proves the problem has gone away
+  onSessionEnd(durationMs) {
+    if (durationMs !== null && durationMs >= this.stableSessionMs) {
+      this.reset();
+    }
+  }
+
+  reset() {
+    if (this.breakerState !== 'closed') {
+      log.info('🔌 Circuit breaker closed after a stable session');
+    }
+    this.attempts = {};
+    this.consecutiveFailures = 0;
+    this.breakerState = 'closed';
+    this.breakerOpenedAt = null;
+  }
+
+  getState() {
+    return {
+      breakerState: this.breakerState,
+      breakerOpenedAt: this.breakerOpenedAt !== null ? new Date(this.breakerOpenedAt).toISOString() : null,
+      consecutiveFailures: this.consecutiveFailures,
+      attempts: { ...this.attempts },
+      lastErrorClass: this.lastErrorClass,
+      lastDelay: this.lastDelay
+    };
+  }
+}
+
+module.exports = ReconnectPolicy;
@@ -0,0 +1,121 @@
+// Every mineflayer call that can change blocks or entities in the world
+const WORLD_MODIFYING_METHODS = [
+  'dig',
+  'placeBlock',
+  '_placeBlockWithOptions',
+  'placeEntity',
+  'activateBlock',
+  'activateEntity',
+  'activateEntityAt',
+  'activateItem',
+  'useOn'
+];
+
+// Wraps world-modifying calls so they reject while isBlocked() is true; plugins are only
+// injected once the server version is known, so this runs on inject_allowed
+function guardWorldModifications(bot, isBlocked, log) {
+  bot.once('inject_allowed', () => {
+    WORLD_MODIFYING_METHODS.forEach((method) => {
+      const original = bot[method];
+      if (typeof original !== 'function') return;
+
+      bot[method] = function (...args) {
+        if (isBlocked()) {
+          log.warn(`🛡️ Blocked ${method}() in safe idle mode`);
+          return Promise.reject(new Error(`${method} is not allowed in safe idle mode`));
+        }
+        return original.apply(this, args);
+      };
+    });
+  });
+}
+
+// Keeps the bot within a radius of an anchor point and limits it to non-destructive behaviors
+class SafeIdle {
+  constructor(owner, options = {}) {
+    this.owner = owner; // The MinecraftBot instance
+    this.active = Boolean(options.enabled);
+    this.radius = options.radius || 3;
+    this.configuredAnchor = options.anchor || null; // { x, y, z }; defaults to the first spawn point
+    this.anchor = null;
+    this.returning = false;
+    this.leashInterval = null;
+    this.log = owner.activityLog.child('safe-idle');
+  }
+
+  // Behaviors must opt in with `safe: true` to run in safe idle mode
+  allows(behavior) {
+    return !this.active || behavior.safe === true;
+  }
+
+  isReturning() {
+    return this.active && this.returning;
+  }
+
+  attach(bot) {
+    // Eating goes through activateItem but only ever uses the food in hand
+    guardWorldModifications(bot, () => this.active && !this.owner.survival.eating, this.log);
+    if (!this.active) return;
+
+    bot.once('spawn', () => {
+      const position = bot.entity.position;
+      const point = this.configuredAnchor || this.anchor || position;
+      // Offsetting the live position gives a Vec3 without depending on vec3 directly
+      this.anchor = position.offset(point.x - position.x, point.y - position.y, point.z - position.z);
+      this.log.info(`📍 Safe idle anchor at ${this.anchor} (radius ${this.radius})`);
+      this.startLeash(bot);
+    });
+  }
+
+  startLeash(bot) {
+    this.stopLeash();
+    this.leashInterval = this.owner.timers.setInterval(() => this.leash(bot), 500);
+  }
+
+  // Walks back toward the anchor once the bot has drifted outside the radius
+  leash(bot) {
+    if (bot !== this.owner.bot || !this.owner.connected || !bot.entity) {
+      this.stopLeash();
+      return;
+    }
+    if (this.owner.survival.isBusy()) return; // Running from a mob beats staying put
+
+    const distance = bot.entity.position.distanceTo(this.anchor);
+    if (!this.returning && distance > this.radius) {
+      this.log.info(`↩️ ${distance.toFixed(1)} blocks from the anchor, walking back`);
+      this.returning = true;
+      this.owner.behaviors.finish();
+    }
+    if (!this.returning) return;
+
+    if (distance <= this.radius / 2) {
+      this.returning = false;
+      bot.clearControlStates();
+      return;
+    }
+    bot.lookAt(this.anchor.offset(0, bot.entity.eyeHeight || 1.62, 0)).catch(() => {});
+    bot.setControlState('forward', true);
+    bot.setControlState('jump', Boolean(bot.entity.isCollidedHorizontally));
+  }
+
+  stopLeash() {
+    if (this.leashInterval) {
+      this.owner.timers.clear(this.leashInterval);
+      this.leashInterval = null;
+    }
+    this.returning = false;
+  }
+
+  getStatus() {
+    if (!this.active) return null;
+    const bot = this.owner.bot;
+    return {
+      anchor: this.anchor ? { x: this.anchor.x, y: this.anchor.y, z: this.anchor.z } : this.configuredAnchor,
+      radius: this.radius,
+      distance: this.anchor && bot && bot.entity ? Number(bot.entity.position.distanceTo(this.anchor).toFixed(2)) : null,
+      returning: this.returning
+    };
+  }
+}
+
+module.exports = SafeIdle;
@@ -0,0 +1,165 @@
+const net = require('net');
+
+// Any protocol version works for a status request; servers answer with their own
+const HANDSHAKE_PROTOCOL = 47;
+
+// Aternos and similar proxies answer pings with a placeholder while the real server is down
+const PLACEHOLDER_VERSION = /offline|starting|loading|queue|preparing|stopping|saving|waiting/i;
+
+function writeVarInt(value) {
+  const bytes = [];
+  let remaining = value >>> 0;
+  do {
+    let byte = remaining & 0x7f;
+    remaining >>>= 7;
+    if (remaining !== 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (remaining !== 0);
+  return Buffer.from(bytes);
+}
+
+// Returns null when the buffer does not yet hold the whole VarInt
+function readVarInt(buffer, offset = 0) {
+  let value = 0;
+  let size = 0;
+  let byte;
+  do {
+    if (offset + size >= buffer.length) return null;
+    byte = buffer[offset + size];
+    value |= (byte & 0x7f) << (7 * size);
+    size++;
+    if (size > 5) throw new Error('VarInt is too big');
+  } while (byte & 0x80);
+  return { value, size };
+}
+
+function writeString(value) {
+  const data = Buffer.from(value, 'utf8');
+  return Buffer.concat([writeVarInt(data.length), data]);
+}
+
+function createPacket(id, ...fields) {
+  const body = Buffer.concat([writeVarInt(id), ...fields]);
+  return Buffer.concat([writeVarInt(body.length), body]);
+}
+
+function createHandshake(host, port) {
+  const portBuffer = Buffer.alloc(2);
+  portBuffer.writeUInt16BE(port);
+  return createPacket(0x00, writeVarInt(HANDSHAKE_PROTOCOL), writeString(host), portBuffer, writeVarInt(1));
+}
+
+// Flattens a chat component (or legacy string) into plain MOTD text
+function flattenChat(component) {
+  if (component === null || component === undefined) return '';
+  if (typeof component === 'string') return component.replace(/§./g, '');
+  if (Array.isArray(component)) return component.map(flattenChat).join('');
+
+  let text = flattenChat(component.text || '');
+  if (component.translate) text += component.translate;
+  if (component.extra) text += flattenChat(component.extra);
+  return text;
+}
+
+function parseStatus(json, latency) {
+  const version = json.version || {};
+  const players = json.players || {};
+  const result = {
+    version: version.name || null,
+    protocol: typeof version.protocol === 'number' ? version.protocol : null,
+    motd: flattenChat(json.description).trim(),
+    players: {
+      online: players.online || 0,
+      max: players.max || 0,
+      sample: (players.sample || []).map(player => ({ name: player.name, id: player.id }))
+    },
+    latency
+  };
+
+  result.online = !(
+    (result.protocol !== null && result.protocol < 0) ||
+    (result.version && PLACEHOLDER_VERSION.test(result.version))
+  );
+  return result;
+}
+
+// Performs a Server List Ping: handshake, status request and ping/pong latency check
+function pingServer(host, port, options = {}) {
+  const timeoutMs = options.timeout || 5000;
+
+  return new Promise((resolve, reject) => {
+    const socket = new net.Socket();
+    let buffer = Buffer.alloc(0);
+    let status = null;
+    let requestSentAt = 0;
+    let pingSentAt = 0;
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeout);
+      socket.destroy();
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    const timeout = setTimeout(() => {
+      // Some servers never answer the ping packet; the status alone is still useful
+      if (status) finish(null, status);
+      else finish(new Error(`Status ping timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    socket.connect(port, host, () => {
+      requestSentAt = Date.now();
+      socket.write(Buffer.concat([createHandshake(host, port), createPacket(0x00)]));
+    });
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      try {
+        while (true) {
+          const length = readVarInt(buffer);
+          if (!length || buffer.length < length.size + length.value) return;
+
+          const packet = buffer.slice(length.size, length.size + length.value);
+          buffer = buffer.slice(length.size + length.value);
+          const packetId = readVarInt(packet);
+
+          if (packetId.value === 0x00 && !status) {
+            const json = readVarInt(packet, packetId.size);
+            const start = packetId.size + json.size;
+            const payload = packet.slice(start, start + json.value).toString('utf8');
+            status = parseStatus(JSON.parse(payload), Date.now() - requestSentAt);
+
+            const pingPayload = Buffer.alloc(8);
+            pingPayload.writeBigInt64BE(BigInt(Date.now()));
+            pingSentAt = Date.now();
+            socket.write(createPacket(0x01, pingPayload));
+          } else if (packetId.value === 0x01 && status) {
+            status.latency = Date.now() - pingSentAt;
+            finish(null, status);
+          }
+        }
+      } catch (error) {
+        finish(new Error(`Invalid status response: ${error.message}`));
+      }
+    });
+
+    socket.on('error', (error) => finish(error));
+
+    socket.on('close', () => {
+      if (status) finish(null, status);
+      else finish(new Error('Connection closed before status response'));
+    });
+  });
+}
+
+module.exports = {
+  pingServer,
+  flattenChat,
+  writeVarInt,
+  readVarInt,
+  createPacket
+};
@@ -0,0 +1,143 @@
+const { exec, execFile } = require('child_process');
+
+// Ways to bring a stopped server up. Each backend gets the starter options, an AbortSignal that fires
+// on timeout or shutdown, and the server's { host, port }; it resolves with a short description of
+// what happened and throws when the start request failed.
+const BACKENDS = {
+  // Any command, e.g. "systemctl start minecraft"; MC_HOST and MC_PORT are set for scripts serving several servers
+  shell: (options, signal, server) => run(exec, [options.command, {
+    signal,
+    env: { ...process.env, MC_HOST: server.host, MC_PORT: String(server.port) }
+  }]),
+
+  // Panel APIs; the body defaults to { host, port } and headers carry the API key
+  http: async (options, signal, server) => {
+    const response = await fetch(options.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+      body: JSON.stringify(options.body || server),
+      signal
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return `HTTP ${response.status}`;
+  },
+
+  docker: (options, signal) => run(execFile, ['docker', ['start', options.container], { signal }]),
+
+  // Starts nothing; stands in for a real backend when trying out the offline handling
+  stub: async (options) => {
+    if (options.stubOutcome === 'failure') throw new Error('stub backend set to fail');
+    return 'stub backend pretended to start the server';
+  }
+};
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    command(...args, (error, stdout, stderr) => {
+      if (error) {
+        const output = (stderr || stdout || '').trim();
+        reject(new Error(output ? `${error.message.split('\n')[0]}: ${output.slice(0, 200)}` : error.message));
+        return;
+      }
+      resolve((stdout || '').trim().slice(0, 200) || 'exited with code 0');
+    });
+  });
+}
+
+// Asks an offline server to start once it has been down for `offlineFor` ms, then waits at least
+// `cooldown` ms before asking again; the bot's server wait loop keeps polling in the meantime.
+// Attempts run in the background so a slow backend never holds up reconnecting or shutdown.
+class ServerStarter {
+  constructor(owner, options = {}) {
+    this.owner = owner; // The MinecraftBot instance
+    this.options = options;
+    this.backend = BACKENDS[options.backend] ? options.backend : null;
+    this.offlineFor = options.offlineFor !== undefined ? options.offlineFor : 120000;
+    this.cooldown = options.cooldown !== undefined ? options.cooldown : 600000;
+    this.timeout = options.timeout || 60000;
+    this.log = owner.connectionLog.child('starter');
+    this.offlineSince = null;
+    this.attempts = 0;
+    this.lastAttempt = null; // { at, ok, result, duration }
+    this.controller = null; // Aborts the attempt in progress
+  }
+
+  // Called with every status check result while waiting for the server
+  observe(online) {
+    if (online) {
+      this.offlineSince = null;
+      return;
+    }
+    if (this.offlineSince === null) this.offlineSince = Date.now();
+    if (this.backend && this.isDue()) this.start();
+  }
+
+  isDue(now = Date.now()) {
+    if (this.controller || this.offlineSince === null || now - this.offlineSince < this.offlineFor) return false;
+    return !this.lastAttempt || now - this.lastAttempt.at >= this.cooldown;
+  }
+
+  async start() {
+    this.attempts++;
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    this.controller = controller;
+    this.log.info(`🚀 Server offline for ${Math.round((startedAt - this.offlineSince) / 1000)}s - asking the ${this.backend} backend to start it`);
+
+    const signal = AbortSignal.any([controller.signal, AbortSignal.timeout(this.timeout)]);
+    let ok = false;
+    let result;
+    try {
+      result = await BACKENDS[this.backend](this.options, signal, { host: this.owner.config.host, port: this.owner.config.port });
+      ok = true;
+      this.log.info(`✅ Start requested: ${result}`);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        result = 'aborted on shutdown';
+      } else {
+        result = signal.aborted ? `timed out after ${this.timeout / 1000}s` : error.message;
+      }
+      this.log.warn(`⚠ Could not start the server: ${result}`);
+    } finally {
+      this.controller = null;
+    }
+
+    this.lastAttempt = { at: startedAt, ok, result, duration: Date.now() - startedAt };
+    this.owner.metric.serverStarts.inc({ result: ok ? 'success' : 'failure' });
+    return ok;
+  }
+
+  // Called when the bot shuts down
+  stop() {
+    if (this.controller) this.controller.abort();
+  }
+
+  getStatus() {
+    const last = this.lastAttempt;
+    const nextAttemptAt = this.backend && this.offlineSince !== null
+      ? Math.max(this.offlineSince + this.offlineFor, last ? last.at + this.cooldown : 0)
+      : null;
+    return {
+      backend: this.backend,
+      running: Boolean(this.controller),
+      offlineSince: this.offlineSince ? new Date(this.offlineSince).toISOString() : null,
+      nextAttemptAt: nextAttemptAt ? new Date(nextAttemptAt).toISOString() : null,
+      attempts: this.attempts,
+      lastAttempt: last ? { ...last, at: new Date(last.at).toISOString() } : null
+    };
+  }
+
+  // Checks that the chosen backend has what it needs; returns error strings relative to "starter."
+  static validate(options = {}) {
+    const required = { shell: 'command', http: 'url', docker: 'container' }[options.backend];
+    if (required && !options[required]) return [`${required}: required for the ${options.backend} backend`];
+    if (options.backend === 'http' && !/^https?:\/\//.test(options.url)) return ['url: must be an http(s) url'];
+    return Object.entries(options.headers || {})
+      .filter(([, value]) => typeof value !== 'string')
+      .map(([name, value]) => `headers.${name}: expected string, got ${JSON.stringify(value)}`);
+  }
+}
+
+ServerStarter.BACKENDS = Object.keys(BACKENDS);
+
+module.exports = ServerStarter;
@@ -1,50 +1,322 @@
 
+const crypto = require('crypto');
 const express = require('express');
+const logger = require('./logger');
+
+const log = logger.child('http');
+
+// Dashboard badge for each connection state
+const STATUS_DISPLAY = {
+  connected: { icon: '✅', text: 'Connected', color: '#28a745' },
+  connecting: { icon: '⏳', text: 'Connecting...', color: '#ffc107' },
+  returning: { icon: '🔙', text: 'Returning after real players left', color: '#ffc107' },
+  switching_username: { icon: '🔄', text: 'Switching username', color: '#ffc107' },
+  waiting_for_players_to_leave: { icon: '👨‍💻', text: 'Waiting for real players to leave', color: '#17a2b8' },
+  emergency_exit_for_real_players: { icon: '🚨', text: 'Left for real players (emergency exit)', color: '#17a2b8' },
+  scheduled_absence: { icon: '📅', text: 'Away (scheduled)', color: '#6c757d' },
+  stopped: { icon: '⏹', text: 'Stopped', color: '#6c757d' },
+  disconnected: { icon: '❌', text: 'Not Connected (waiting/retrying)', color: '#dc3545' }
+};
+
+function describeStatus(status) {
+  return STATUS_DISPLAY[status.status] || STATUS_DISPLAY.disconnected;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Control routes and the MinecraftBot method each one calls; the response waits for async ones
+const CONTROL_ACTIONS = {
+  connect: bot => bot.start(),
+  disconnect: async (bot) => {
+    await bot.disconnect();
+    return true;
+  },
+  'pause-activity': bot => bot.pauseActivity(),
+  'resume-activity': bot => bot.resumeActivity(),
+  hide: bot => bot.forceHide(),
+  return: bot => bot.forceReturn(),
+  'switch-username': bot => bot.switchUsername(),
+  'clear-bans': bot => bot.clearBannedUsernames()
+};
 
 class StatusServer {
-  constructor(bot) {
-    this.bot = bot;
+  // Single-bot routes (/status, /, /events, /control/...) serve the manager's primary bot;
+  // every bot is also reachable under /bots/:id
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.bot = manager.primary;
+    this.options = options;
     this.app = express();
+    this.eventClients = new Set(); // Open Server-Sent Events responses
+    this.subscribeToBotEvents();
     this.setupRoutes();
+    this.setupBotRoutes();
+    this.setupControlRoutes();
+  }
+
+  // Constant-time token check; the control API stays locked when no token is configured
+  isAuthorized(req) {
+    const token = this.options.controlToken;
+    if (!token) return false;
+
+    const header = req.get('authorization') || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : req.get('x-control-token') || '';
+    const expected = Buffer.from(token);
+    const actual = Buffer.from(provided);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  setupControlRoutes() {
+    if (!this.options.controlToken) {
+      log.warn('⚠ No control token configured - control API is disabled');
+    }
+
+    Object.entries(CONTROL_ACTIONS).forEach(([action, run]) => {
+      const handler = async (req, res) => {
+        if (!this.isAuthorized(req)) {
+          log.warn(`🔒 Rejected unauthorized control request: ${action}`);
+          return res.status(401).json({ ok: false, error: 'Unauthorized' });
+        }
+
+        const bot = req.targetBot || this.bot;
+        log.info(`🎛️ Control action: ${action} (bot ${bot.id})`);
+        const ok = await run(bot);
+        const status = bot.getStatus();
+        res.status(ok ? 200 : 409).json({
+          ok,
+          action,
+          error: ok ? undefined : `Cannot ${action} while ${status.status}`,
+          status: { ...status, display: describeStatus(status) }
+        });
+      };
+      this.app.post(`/control/${action}`, handler);
+      this.app.post(`/bots/:id/control/${action}`, handler);
+    });
+  }
+
+  // One subscription per bot event, fanned out to every connected dashboard
+  subscribeToBotEvents() {
+    this.bot.constructor.EVENTS.forEach((type) => {
+      this.bot.on(type, (data) => this.broadcast(type, data));
+    });
+  }
+
+  broadcast(type, data) {
+    if (this.eventClients.size === 0) return;
+
+    const status = this.bot.getStatus();
+    const payload = JSON.stringify({
+      type,
+      data,
+      status: { ...status, display: describeStatus(status) },
+      timestamp: new Date().toISOString()
+    });
+    this.eventClients.forEach(res => res.write(`event: ${type}\ndata: ${payload}\n\n`));
+  }
+
+  async buildStatus(bot) {
+    const status = bot.getStatus();
+    const ping = await bot.getServerPing();
+    return {
+      id: bot.id,
+      connected: status.connected,
+      lastError: status.lastError,
+      lastErrorCategory: status.lastErrorCategory,
+      status: status.status,
+      server: status.server,
+      username: status.username,
+      players: status.playerClassifications.map(player => ({
+        username: player.username,
+        isBot: player.isBot,
+        rule: player.rule
+      })),
+      serverPing: {
+        online: ping.online,
+        version: ping.version || null,
+        protocol: ping.protocol || null,
+        motd: ping.motd || null,
+        players: ping.players || null,
+        latency: ping.latency || null,
+        error: ping.error,
+        checkedAt: new Date(ping.checkedAt).toISOString()
+      },
+      reconnect: status.reconnect,
+      schedule: status.schedule,
+      yieldPolicy: status.yieldPolicy,
+      starter: status.starter,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  buildHistory(bot, daysParam) {
+    const history = bot.sessionHistory;
+    const days = Math.min(Math.max(parseInt(daysParam, 10) || 7, 1), 365);
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    return {
+      last24hUptimePercent: history.getSummary().last24hUptimePercent,
+      daily: history.getDailyUptime(days),
+      sessions: history.getSessions(since).map(session => ({
+        ...session,
+        startedAt: new Date(session.startedAt).toISOString(),
+        endedAt: session.endedAt ? new Date(session.endedAt).toISOString() : null
+      })),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  setupBotRoutes() {
+    this.app.param('id', (req, res, next, id) => {
+      req.targetBot = this.manager.get(id);
+      if (!req.targetBot) {
+        return res.status(404).json({ ok: false, error: `Unknown bot: ${id}` });
+      }
+      next();
+    });
+
+    this.app.get('/bots', (req, res) => {
+      res.json({ ...this.manager.getOverview(), timestamp: new Date().toISOString() });
+    });
+
+    this.app.get('/bots/:id/status', async (req, res) => {
+      res.json(await this.buildStatus(req.targetBot));
+    });
+
+    this.app.get('/bots/:id/history', (req, res) => {
+      res.json(this.buildHistory(req.targetBot, req.query.days));
+    });
+
+    this.app.get('/bots/:id/players', (req, res) => {
+      res.json(req.targetBot.presence.getStatus());
+    });
+
+    // Aggregate overview of every bot
+    this.app.get('/overview', (req, res) => {
+      const overview = this.manager.getOverview();
+      const rows = overview.bots.map((bot) => {
+        const { icon, text, color } = describeStatus(bot);
+        return `
+              <tr>
+                <td><a href="/bots/${escapeHtml(bot.id)}/status">${escapeHtml(bot.id)}</a></td>
+                <td>${escapeHtml(bot.server)}</td>
+                <td>${escapeHtml(bot.username)}</td>
+                <td style="color: ${color}">${icon} ${text}</td>
+                <td>${bot.realPlayersOnline.length > 0 ? escapeHtml(bot.realPlayersOnline.join(', ')) : 'None'}</td>
+                <td>${bot.last24hUptimePercent.toFixed(1)}%</td>
+                <td>${bot.lastError ? escapeHtml(bot.lastError) : ''}</td>
+              </tr>`;
+      }).join('');
+
+      res.send(`
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <meta http-equiv="refresh" content="30">
+          <title>Minecraft AFK Bots Overview</title>
+          <style>
+            body {
+              font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+              max-width: 1000px;
+              margin: 50px auto;
+              padding: 20px;
+              background: #f5f5f5;
+            }
+            .container {
+              background: white;
+              padding: 30px;
+              border-radius: 10px;
+              box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            }
+            table {
+              width: 100%;
+              border-collapse: collapse;
+              font-size: 14px;
+            }
+            th, td {
+              text-align: left;
+              padding: 8px;
+              border-bottom: 1px solid #eee;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h1>🤖 Minecraft AFK Bots</h1>
+            <p><strong>${overview.connected}/${overview.total}</strong> connected, <strong>${overview.hiding}</strong> hiding from real players</p>
+            <table>
+              <tr><th>Bot</th><th>Server</th><th>Username</th><th>Status</th><th>Real Players</th><th>Uptime (24h)</th><th>Last Error</th></tr>
+              ${rows}
+            </table>
+            <p><small>Last update: ${new Date().toLocaleString()} (refreshes every 30 seconds)</small></p>
+          </div>
+        </body>
+        </html>
+      `);
+    });
   }
 
   setupRoutes() {
     // JSON status endpoint for UptimeRobot
-    this.app.get('/status', (req, res) => {
-      const status = this.bot.getStatus();
-      res.json({
-        connected: status.connected,
-        lastError: status.lastError,
-        status: status.status,
-        server: status.server,
-        username: status.username,
-        timestamp: new Date().toISOString()
+    this.app.get('/status', async (req, res) => {
+      res.json(await this.buildStatus(this.bot));
+    });
+
+    // Session history with daily uptime, e.g. /history?days=30
+    this.app.get('/history', (req, res) => {
+      res.json(this.buildHistory(this.bot, req.query.days));
+    });
+
+    // Tracked players: who is online by which source, gamemode and first/last seen times
+    this.app.get('/players', (req, res) => {
+      res.json(this.bot.presence.getStatus());
+    });
+
+    // Live bot lifecycle events for the dashboard
+    this.app.get('/events', (req, res) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write(': connected\n\n');
+      this.eventClients.add(res);
+
+      // Comment lines keep proxies from closing an idle stream
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        this.eventClients.delete(res);
       });
     });
 
     // HTML status page
     this.app.get('/', (req, res) => {
       const status = this.bot.getStatus();
+      const { icon: statusIcon, text: statusText, color: statusColor } = describeStatus(status);
+      const uptime = this.bot.sessionHistory.getSummary();
 
-      let statusIcon, statusText, statusColor;
-
-      if (status.status === 'connected') {
-        statusIcon = '✅';
-        statusText = 'Connected';
-        statusColor = '#28a745';
-      } else if (status.status === 'connecting') {
-        statusIcon = '⏳';
-        statusText = 'Connecting...';
-        statusColor = '#ffc107';
-      } else if (status.status === 'waiting_for_players_to_leave') {
-        statusIcon = '👨‍💻';
-        statusText = 'Waiting for real players to leave';
-        statusColor = '#17a2b8';
-      } else {
-        statusIcon = '❌';
-        statusText = 'Not Connected (waiting/retrying)';
-        statusColor = '#dc3545';
-      }
+      // Connected sessions over the last 24 hours as positioned bar segments
+      const dayMs = 24 * 60 * 60 * 1000;
+      const timelineStart = Date.now() - dayMs;
+      const timeline = this.bot.sessionHistory.getSessions(timelineStart).map(session => {
+        const start = Math.max(session.startedAt, timelineStart);
+        const end = session.endedAt || Date.now();
+        const left = ((start - timelineStart) / dayMs) * 100;
+        const width = Math.max(((end - start) / dayMs) * 100, 0.2);
+        const title = `${session.username}: ${new Date(session.startedAt).toLocaleString()} - ${
+          session.endedAt ? new Date(session.endedAt).toLocaleString() : 'now'}${session.endReason ? ` (${session.endReason})` : ''}`;
+        return `<div class="segment" style="left: ${left.toFixed(2)}%; width: ${width.toFixed(2)}%" title="${escapeHtml(title)}"></div>`;
+      }).join('');
+      const dailyBars = uptime.daily.map(day => `
+              <div class="day">
+                <span>${day.date}</span>
+                <div class="bar"><div style="width: ${day.uptimePercent}%"></div></div>
+                <span>${day.uptimePercent.toFixed(1)}%</span>
+              </div>`).join('');
 
       const html = `
         <!DOCTYPE html>
@@ -102,48 +374,210 @@ class StatusServer {
             button:hover {
               background: #0056b3;
             }
+            .events {
+              list-style: none;
+              padding: 0;
+              margin: 0;
+              font-size: 14px;
+              max-height: 200px;
+              overflow-y: auto;
+            }
+            .events li {
+              padding: 4px 0;
+              border-bottom: 1px solid #eee;
+            }
+            .hidden {
+              display: none;
+            }
+            .controls button {
+              margin: 4px 2px;
+              padding: 6px 12px;
+            }
+            .controls .danger {
+              background: #dc3545;
+            }
+            .timeline {
+              position: relative;
+              height: 20px;
+              background: #e9ecef;
+              border-radius: 3px;
+              margin: 8px 0;
+            }
+            .timeline .segment {
+              position: absolute;
+              top: 0;
+              bottom: 0;
+              background: #28a745;
+            }
+            .day {
+              display: flex;
+              align-items: center;
+              gap: 8px;
+              font-size: 14px;
+            }
+            .day .bar {
+              flex: 1;
+              height: 10px;
+              background: #e9ecef;
+              border-radius: 3px;
+            }
+            .day .bar div {
+              height: 100%;
+              background: #28a745;
+              border-radius: 3px;
+            }
           </style>
           <script>
             function refreshStatus() {
               location.reload();
             }
-            // Auto-refresh every 10 seconds
-            setInterval(refreshStatus, 10000);
+
+            function setRow(id, value) {
+              document.getElementById(id).classList.toggle('hidden', !value);
+            }
+
+            function render(status) {
+              var statusLine = document.getElementById('status-line');
+              statusLine.textContent = status.display.icon + ' ' + status.display.text;
+              statusLine.style.color = status.display.color;
+              document.getElementById('username').textContent = status.username;
+              document.getElementById('username-counter').textContent = status.usernameCounter || 1;
+              document.getElementById('banned').textContent = status.bannedUsernames.join(', ');
+              setRow('banned-row', status.bannedUsernames.length > 0);
+              document.getElementById('real-players').textContent =
+                status.realPlayersOnline.length > 0 ? status.realPlayersOnline.join(', ') : 'None';
+              setRow('hiding-row', status.isHidingFromPlayers);
+              document.getElementById('last-update').textContent = new Date().toLocaleString();
+              document.getElementById('last-error').textContent = status.lastError || '';
+              setRow('error-box', status.lastError);
+            }
+
+            function control(action) {
+              var token = localStorage.getItem('controlToken') || prompt('Control token');
+              if (!token) return;
+
+              fetch('/control/' + action, { method: 'POST', headers: { Authorization: 'Bearer ' + token } })
+                .then(function (response) {
+                  if (response.status === 401) localStorage.removeItem('controlToken');
+                  else localStorage.setItem('controlToken', token);
+                  return response.json();
+                })
+                .then(function (result) {
+                  document.getElementById('control-result').textContent =
+                    result.ok ? '✅ ' + action + ' done' : '⚠ ' + result.error;
+                  if (result.status) render(result.status);
+                })
+                .catch(function (error) {
+                  document.getElementById('control-result').textContent = '⚠ ' + error.message;
+                });
+            }
+
+            function describeEvent(event) {
+              var data = event.data || {};
+              switch (event.type) {
+                case 'connecting': return '⏳ Connecting as ' + data.username;
+                case 'spawned': return '✅ Spawned as ' + data.username;
+                case 'kicked': return '❌ Kicked (' + data.category + '): ' + data.reason;
+                case 'playerJoined': return '👤 ' + data.username + ' joined' + (data.isBot ? ' (bot)' : '');
+                case 'playerLeft': return '👋 ' + data.username + ' left';
+                case 'hiding': return '🚪 Hiding from ' + data.realPlayers.join(', ');
+                case 'returning': return '🔄 Returning to the server';
+                case 'usernameSwitched': return '🔄 Username switched to ' + data.username;
+                default: return event.type;
+              }
+            }
+
+            function addEvent(event) {
+              var list = document.getElementById('events');
+              var item = document.createElement('li');
+              item.textContent = new Date(event.timestamp).toLocaleTimeString() + ' ' + describeEvent(event);
+              list.insertBefore(item, list.firstChild);
+              while (list.children.length > 20) list.removeChild(list.lastChild);
+            }
+
+            window.addEventListener('load', function () {
+              var source = new EventSource('/events');
+              var stream = document.getElementById('stream-state');
+              source.onopen = function () { stream.textContent = 'Live updates connected'; };
+              source.onerror = function () { stream.textContent = 'Live updates disconnected - retrying...'; };
+              ${JSON.stringify(this.bot.constructor.EVENTS)}.forEach(function (type) {
+                source.addEventListener(type, function (message) {
+                  var event = JSON.parse(message.data);
+                  render(event.status);
+                  addEvent(event);
+                });
+              });
+            });
           </script>
         </head>
         <body>
           <div class="container">
             <h1>🤖 Minecraft AFK Bot</h1>
 
-            <div class="status">
+            <div class="status" id="status-line">
               ${statusIcon} ${statusText}
             </div>
 
             <div class="info">
-              <strong>Server:</strong> ${status.server}<br>
-              <strong>Current Username:</strong> ${status.username}<br>
-              <strong>Username Counter:</strong> ${status.usernameCounter || 1}<br>
-              ${status.bannedUsernames && status.bannedUsernames.length > 0 ? 
-                `<strong>Banned Usernames:</strong> ${status.bannedUsernames.join(', ')}<br>` : ''}
-              ${status.realPlayersOnline && status.realPlayersOnline.length > 0 ? 
-                `<strong>Real Players Online:</strong> ${status.realPlayersOnline.join(', ')}<br>` : 
-                '<strong>Real Players Online:</strong> None<br>'}
-              ${status.isHidingFromPlayers ? '<strong>🚪 Bot Status:</strong> Hiding from real players<br>' : ''}
-              <strong>Last Update:</strong> ${new Date().toLocaleString()}
+              <strong>Server:</strong> ${escapeHtml(status.server)}<br>
+              <strong>Current Username:</strong> <span id="username">${escapeHtml(status.username)}</span><br>
+              <strong>Username Counter:</strong> <span id="username-counter">${status.usernameCounter || 1}</span><br>
+              <span id="banned-row" class="${status.bannedUsernames.length > 0 ? '' : 'hidden'}">
+                <strong>Banned Usernames:</strong> <span id="banned">${escapeHtml(status.bannedUsernames.join(', '))}</span><br>
+              </span>
+              <strong>Real Players Online:</strong>
+              <span id="real-players">${status.realPlayersOnline.length > 0 ? escapeHtml(status.realPlayersOnline.join(', ')) : 'None'}</span><br>
+              <span id="hiding-row" class="${status.isHidingFromPlayers ? '' : 'hidden'}">
+                <strong>🚪 Bot Status:</strong> Hiding from real players<br>
+              </span>
+              <strong>📅 Schedule:</strong> ${escapeHtml(status.schedule.mode)}${status.schedule.nextTransition
+                ? ` (${status.schedule.nextTransition.to} from ${new Date(status.schedule.nextTransition.at).toLocaleString()})`
+                : ''}<br>
+              <strong>🤝 Yield Policy:</strong> ${escapeHtml(status.yieldPolicy.description)}${status.yieldPolicy.lastDecision
+                ? ` (last: ${status.yieldPolicy.lastDecision.decision}, ${escapeHtml(status.yieldPolicy.lastDecision.reason)})`
+                : ''}${status.yieldPolicy.idle ? ' - idling' : ''}<br>
+              ${status.starter.backend ? `<strong>🚀 Server Starter:</strong> ${escapeHtml(status.starter.backend)}, ${status.starter.attempts} attempt(s)${status.starter.lastAttempt
+                ? ` (last ${status.starter.lastAttempt.ok ? 'succeeded' : 'failed'}: ${escapeHtml(status.starter.lastAttempt.result)})`
+                : ''}${status.starter.running ? ' - starting now' : ''}<br>` : ''}
+              <strong>Last Update:</strong> <span id="last-update">${new Date().toLocaleString()}</span>
             </div>
 
-            ${status.lastError ? `
-              <div class="error">
-                <strong>⚠ Last Error:</strong><br>
-                ${status.lastError}
-              </div>
-            ` : ''}
+            <div class="error ${status.lastError ? '' : 'hidden'}" id="error-box">
+              <strong>⚠ Last Error:</strong><br>
+              <span id="last-error">${escapeHtml(status.lastError || '')}</span>
+            </div>
+
+            <div class="info">
+              <strong>📈 Uptime (last 24h): ${uptime.last24hUptimePercent.toFixed(1)}%</strong>
+              <div class="timeline">${timeline}</div>
+              ${dailyBars}
+              <small><a href="/history">Full session history (JSON)</a></small>
+              ${this.manager.bots.size > 1 ? `<br><small><a href="/overview">All bots (${this.manager.bots.size})</a></small>` : ''}
+            </div>
+
+            <div class="info">
+              <strong>📜 Recent Events</strong>
+              <ul class="events" id="events"></ul>
+            </div>
+
+            <div class="info controls">
+              <strong>🎛️ Controls</strong><br>
+              <button onclick="control('connect')">▶️ Connect</button>
+              <button class="danger" onclick="control('disconnect')">⏹️ Disconnect</button>
+              <button onclick="control('pause-activity')">⏸️ Pause Activity</button>
+              <button onclick="control('resume-activity')">🎮 Resume Activity</button>
+              <button onclick="control('hide')">🚪 Hide</button>
+              <button onclick="control('return')">🔙 Return</button>
+              <button onclick="control('switch-username')">🔄 Switch Username</button>
+              <button class="danger" onclick="control('clear-bans')">🧹 Clear Bans</button>
+              <div><small id="control-result"></small></div>
+            </div>
 
             <div class="refresh">
               <button onclick="refreshStatus()">🔄 Refresh Status</button>
             </div>
 
-            <p><small>Page auto-refreshes every 10 seconds</small></p>
+            <p><small id="stream-state">Connecting to live updates...</small></p>
           </div>
         </body>
         </html>
@@ -156,23 +590,40 @@ class StatusServer {
     this.app.get('/health', (req, res) => {
       res.json({ status: 'ok', timestamp: new Date().toISOString() });
     });
+
+    // Prometheus scrape endpoint
+    this.app.get('/metrics', (req, res) => {
+      res.type('text/plain; version=0.0.4; charset=utf-8').send(this.manager.renderMetrics());
+    });
   }
 
-  start(port = 5000) {
+  start(port = this.options.port || 5000) {
     return new Promise((resolve) => {
       this.server = this.app.listen(port, '0.0.0.0', () => {
-        console.log(`🌐 Status server running on http://0.0.0.0:${port}`);
-        console.log(`📊 Status page: http://0.0.0.0:${port}/`);
-        console.log(`📡 API endpoint: http://0.0.0.0:${port}/status`);
+        log.info(`🌐 Status server running on http://0.0.0.0:${port}`);
+        log.info(`📊 Status page: http://0.0.0.0:${port}/`);
+        log.info(`📡 API endpoint: http://0.0.0.0:${port}/status`);
         resolve();
       });
     });
   }
 
+  // Resolves once every connection is closed; open event streams are ended, idle keep-alive
+  // sockets dropped, and in-flight requests get to finish
   stop() {
-    if (this.server) {
-      this.server.close();
-    }
+    this.eventClients.forEach(res => res.end());
+    this.eventClients.clear();
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve) => {
+      server.close(() => {
+        log.info('🌐 Status server stopped');
+        resolve();
+      });
+      server.closeIdleConnections();
+    });
   }
 }
 
@@ -0,0 +1,92 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Connected sessions kept in the state store, used for the /history page and uptime figures
+class SessionHistory {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.retentionMs = (options.retentionDays || 30) * DAY_MS;
+    this.maxSessions = options.maxSessions || 5000;
+    this.current = null;
+
+    // A session still open on load means the process died without a clean shutdown;
+    // its real length is unknown, so it is closed with no uptime credited
+    const sessions = (store.data.sessions || []).map(session => (session.endedAt
+      ? session
+      : { ...session, endedAt: session.startedAt, endReason: 'interrupted' }));
+    this.save(sessions);
+  }
+
+  start(username) {
+    this.current = { startedAt: Date.now(), username };
+  }
+
+  end(reason, realPlayers = []) {
+    if (!this.current) return null;
+
+    const session = {
+      ...this.current,
+      endedAt: Date.now(),
+      endReason: reason,
+      realPlayers
+    };
+    this.current = null;
+    this.save(this.store.data.sessions.concat(session));
+    return session;
+  }
+
+  save(sessions) {
+    const cutoff = Date.now() - this.retentionMs;
+    this.store.update({
+      sessions: sessions.filter(session => session.endedAt >= cutoff).slice(-this.maxSessions)
+    });
+  }
+
+  // Stored sessions plus the one in progress, newest last
+  getSessions(since = 0) {
+    const sessions = this.store.data.sessions.slice();
+    if (this.current) {
+      sessions.push({ ...this.current, endedAt: null, endReason: null, realPlayers: [] });
+    }
+    return sessions.filter(session => (session.endedAt || Date.now()) >= since);
+  }
+
+  // Milliseconds connected between from and to
+  connectedMs(from, to) {
+    return this.getSessions(from).reduce((total, session) => {
+      const start = Math.max(session.startedAt, from);
+      const end = Math.min(session.endedAt || Date.now(), to);
+      return total + Math.max(0, end - start);
+    }, 0);
+  }
+
+  uptimePercent(from, to) {
+    return to > from ? Math.round((this.connectedMs(from, to) / (to - from)) * 10000) / 100 : 0;
+  }
+
+  // Per-day uptime for the last `days` UTC days, today included up to now
+  getDailyUptime(days = 7) {
+    const now = Date.now();
+    const today = now - (now % DAY_MS);
+    const result = [];
+    for (let index = days - 1; index >= 0; index--) {
+      const from = today - index * DAY_MS;
+      const to = Math.min(from + DAY_MS, now);
+      result.push({
+        date: new Date(from).toISOString().slice(0, 10),
+        connectedMs: this.connectedMs(from, to),
+        uptimePercent: this.uptimePercent(from, to)
+      });
+    }
+    return result;
+  }
+
+  getSummary() {
+    const now = Date.now();
+    return {
+      last24hUptimePercent: this.uptimePercent(now - DAY_MS, now),
+      daily: this.getDailyUptime(7)
+    };
+  }
+}
+
+module.exports = SessionHistory;
@@ -0,0 +1,110 @@
+const logger = require('./logger');
+
+const log = logger.child('connection');
+
+// Declared connection states and the transitions allowed out of each one
+const TRANSITIONS = {
+  disconnected: ['connecting', 'scheduled_absence', 'stopped'],
+  connecting: ['connected', 'disconnected', 'switching_username', 'waiting_for_players_to_leave', 'emergency_exit_for_real_players', 'stopped'],
+  connected: ['disconnected', 'switching_username', 'waiting_for_players_to_leave', 'emergency_exit_for_real_players', 'scheduled_absence', 'stopped'],
+  switching_username: ['connecting', 'scheduled_absence', 'stopped'],
+  waiting_for_players_to_leave: ['returning', 'stopped'],
+  emergency_exit_for_real_players: ['returning', 'stopped'],
+  returning: ['connecting', 'scheduled_absence', 'stopped'],
+  // Off the server because the presence schedule says so
+  scheduled_absence: ['connecting', 'stopped'],
+  stopped: ['connecting', 'scheduled_absence']
+};
+
+// States in which the bot has deliberately left the server for real players
+const HIDING_STATES = ['waiting_for_players_to_leave', 'emergency_exit_for_real_players'];
+
+class ConnectionStateMachine {
+  constructor(options = {}) {
+    this.transitions = options.transitions || TRANSITIONS;
+    this.current = options.initial || 'disconnected';
+    this.historyLimit = options.historyLimit || 50;
+    this.log = options.log || log;
+    this.history = [];
+    this.enterActions = {};
+    this.exitActions = {};
+  }
+
+  onEnter(state, action) {
+    this.enterActions[state] = this.enterActions[state] || [];
+    this.enterActions[state].push(action);
+    return this;
+  }
+
+  onExit(state, action) {
+    this.exitActions[state] = this.exitActions[state] || [];
+    this.exitActions[state].push(action);
+    return this;
+  }
+
+  is(...states) {
+    return states.includes(this.current);
+  }
+
+  isHiding() {
+    return HIDING_STATES.includes(this.current);
+  }
+
+  can(to) {
+    const allowed = this.transitions[this.current] || [];
+    return allowed.includes(to);
+  }
+
+  transition(to, reason = null) {
+    const from = this.current;
+
+    // Re-entering the current state is a harmless no-op, not an illegal move
+    if (from === to) return false;
+
+    if (!this.transitions[to]) {
+      throw new Error(`Unknown connection state: ${to}`);
+    }
+
+    if (!this.can(to)) {
+      this.log.info(`⛔ Rejected illegal state transition ${from} → ${to}${reason ? ` (${reason})` : ''}`);
+      this.record({ from, to, reason, accepted: false });
+      return false;
+    }
+
+    this.runActions(this.exitActions[from], from, to, reason);
+    this.current = to;
+    this.record({ from, to, reason, accepted: true });
+    this.log.info(`🔀 State: ${from} → ${to}${reason ? ` (${reason})` : ''}`);
+    this.runActions(this.enterActions[to], from, to, reason);
+    return true;
+  }
+
+  runActions(actions, from, to, reason) {
+    if (!actions) return;
+
+    // Entry/exit actions must never leave the machine half-transitioned
+    for (const action of actions) {
+      try {
+        action(from, to, reason);
+      } catch (error) {
+        this.log.warn(`⚠ State action error (${from} → ${to}):`, error.message);
+      }
+    }
+  }
+
+  record(entry) {
+    this.history.push({ ...entry, timestamp: new Date().toISOString() });
+    if (this.history.length > this.historyLimit) {
+      this.history.splice(0, this.history.length - this.historyLimit);
+    }
+  }
+
+  getHistory() {
+    return this.history.slice();
+  }
+}
+
+ConnectionStateMachine.TRANSITIONS = TRANSITIONS;
+ConnectionStateMachine.HIDING_STATES = HIDING_STATES;
+
+module.exports = ConnectionStateMachine;
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const log = logger.child('store');
+
+const DEFAULT_STATE = {
+  usernameCounter: 1,
+  currentUsername: null,
+  bannedUsernames: [],
+  disconnectHistory: [],
+  sessions: []
+};
+
+// JSON file store; writes go to a temp file first and are renamed into place atomically
+class StateStore {
+  constructor(filePath, options = {}) {
+    this.filePath = path.resolve(filePath);
+    this.historyLimit = options.historyLimit || 100;
+    this.data = { ...DEFAULT_STATE };
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.data = { ...DEFAULT_STATE, ...saved };
+        log.info(`💾 Loaded saved state from ${this.filePath}`);
+      }
+    } catch (error) {
+      // A corrupt file must not keep the bot from starting
+      log.warn('⚠ Could not read saved state, starting fresh:', error.message);
+      this.data = { ...DEFAULT_STATE };
+    }
+    return this.data;
+  }
+
+  update(changes) {
+    this.data = { ...this.data, ...changes };
+    this.save();
+  }
+
+  recordDisconnect(entry) {
+    const history = this.data.disconnectHistory.concat({ ...entry, timestamp: new Date().toISOString() });
+    this.update({ disconnectHistory: history.slice(-this.historyLimit) });
+  }
+
+  getDisconnectHistory() {
+    return this.data.disconnectHistory.slice();
+  }
+
+  save() {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      log.warn('⚠ Could not save state:', error.message);
+      try {
+        fs.unlinkSync(tempPath);
+      } catch (cleanupError) {
+        // Temp file was never created
+      }
+    }
+  }
+}
+
+module.exports = StateStore;
@@ -0,0 +1,244 @@
+// Foods that poison, hurt or teleport whoever eats them
+const UNSAFE_FOODS = ['rotten_flesh', 'spider_eye', 'poisonous_potato', 'pufferfish', 'suspicious_stew', 'chorus_fruit'];
+
+// Mobs that attack on sight without being typed "hostile" in minecraft-data
+const EXTRA_HOSTILES = ['slime', 'magma_cube', 'hoglin'];
+
+// Blocks that hurt to stand in or on
+const HAZARD_BLOCKS = ['lava', 'fire', 'soul_fire', 'magma_block', 'campfire', 'soul_campfire', 'cactus', 'sweet_berry_bush', 'powder_snow'];
+
+// Keeps the bot alive while it idles: eats when hungry or hurt, runs from hostile mobs,
+// refuses to walk into lava, the void or off cliffs, and respawns after dying
+class Survival {
+  constructor(owner, options = {}) {
+    this.owner = owner; // The MinecraftBot instance
+    this.enabled = options.enabled !== false;
+    this.eatBelowFood = options.eatBelowFood !== undefined ? options.eatBelowFood : 14;
+    this.eatBelowHealth = options.eatBelowHealth !== undefined ? options.eatBelowHealth : 10;
+    this.fleeRadius = options.fleeRadius !== undefined ? options.fleeRadius : 8;
+    this.maxDrop = options.maxDrop || 3;
+    this.respawnDelay = options.respawnDelay !== undefined ? options.respawnDelay : 2000;
+    this.log = owner.activityLog.child('survival');
+    this.watchInterval = null;
+    this.respawnTimer = null;
+    this.eating = false;
+    this.fleeingFrom = null; // Name of the mob being run from
+    this.noFoodWarned = false;
+    this.deaths = 0;
+    this.lastDeath = null; // { at, position }
+  }
+
+  // True while eating or fleeing, so random activity and the safe idle leash keep their hands off
+  isBusy() {
+    return this.eating || this.fleeingFrom !== null;
+  }
+
+  attach(bot) {
+    let spawned = false;
+    bot.on('spawn', () => {
+      if (bot !== this.owner.bot) return;
+      if (spawned) this.log.info('🔄 Respawned');
+      spawned = true;
+      if (this.enabled) this.startWatching(bot);
+    });
+    bot.on('health', () => this.onHealth(bot));
+    bot.on('death', () => this.onDeath(bot));
+  }
+
+  startWatching(bot) {
+    this.stopWatching();
+    this.watchInterval = this.owner.timers.setInterval(() => this.watch(bot), 250);
+  }
+
+  stopWatching() {
+    if (this.watchInterval) {
+      this.owner.timers.clear(this.watchInterval);
+      this.watchInterval = null;
+    }
+    this.fleeingFrom = null;
+  }
+
+  watch(bot) {
+    if (bot !== this.owner.bot || !this.owner.connected || !bot.entity) {
+      this.stopWatching();
+      return;
+    }
+    if (!bot.isAlive) return;
+
+    const threat = this.fleeRadius > 0 ? this.nearestHostile(bot) : null;
+    if (threat) {
+      this.flee(bot, threat);
+      return;
+    }
+    if (this.fleeingFrom) {
+      this.log.info(`😮‍💨 Got away from ${this.fleeingFrom}`);
+      this.fleeingFrom = null;
+      bot.clearControlStates();
+      return;
+    }
+
+    // Behaviors, the safe idle leash and "follow" all walk blindly, so stop whatever is heading into danger
+    const hazard = this.hazardAhead(bot);
+    if (hazard) {
+      this.log.info(`🛑 Stopped before ${hazard}`);
+      this.owner.behaviors.finish();
+      bot.clearControlStates();
+    }
+  }
+
+  nearestHostile(bot) {
+    const position = bot.entity.position;
+    return Object.values(bot.entities)
+      .filter(entity => entity !== bot.entity && (entity.type === 'hostile' || EXTRA_HOSTILES.includes(entity.name)))
+      .map(entity => ({ entity, distance: entity.position.distanceTo(position) }))
+      .filter(({ distance }) => distance <= this.fleeRadius)
+      .sort((a, b) => a.distance - b.distance)
+      .map(({ entity }) => entity)[0] || null;
+  }
+
+  flee(bot, threat) {
+    if (this.fleeingFrom !== threat.name) {
+      this.log.info(`🏃 Running from ${threat.name} (${threat.position.distanceTo(bot.entity.position).toFixed(1)} blocks away)`);
+      this.owner.behaviors.finish();
+    }
+    this.fleeingFrom = threat.name;
+
+    const position = bot.entity.position;
+    const away = position.minus(threat.position);
+    const length = Math.hypot(away.x, away.z) || 1;
+    const target = position.offset(away.x / length * 4, bot.entity.height || 1.62, away.z / length * 4);
+    bot.lookAt(target, true).catch(() => {});
+
+    // Facing away from the mob; only run if the ground ahead is safe, otherwise stand and take it
+    const blocked = this.hazardAhead(bot, { forward: 1 });
+    bot.setControlState('forward', !blocked);
+    bot.setControlState('sprint', !blocked);
+    bot.setControlState('jump', !blocked && Boolean(bot.entity.isCollidedHorizontally));
+  }
+
+  // Describes the first hazard within two blocks along the direction the controls are moving the bot,
+  // or null; `controls` overrides the current control state, e.g. { forward: 1 } to check straight ahead
+  hazardAhead(bot, controls = null) {
+    const control = controls || {
+      forward: bot.getControlState('forward') - bot.getControlState('back'),
+      right: bot.getControlState('right') - bot.getControlState('left')
+    };
+    const forward = control.forward || 0;
+    const right = control.right || 0;
+    if (!forward && !right) return null;
+
+    const yaw = bot.entity.yaw;
+    const dx = -Math.sin(yaw) * forward + Math.cos(yaw) * right;
+    const dz = -Math.cos(yaw) * forward - Math.sin(yaw) * right;
+    const length = Math.hypot(dx, dz);
+
+    for (const step of [1, 2]) {
+      const hazard = this.hazardAt(bot, bot.entity.position.offset(dx / length * step, 0, dz / length * step));
+      if (hazard) return hazard;
+    }
+    return null;
+  }
+
+  hazardAt(bot, position) {
+    const feet = bot.blockAt(position);
+    if (!feet) return 'unloaded chunks';
+    const head = bot.blockAt(position.offset(0, 1, 0));
+    const touching = [feet, head].find(block => block && HAZARD_BLOCKS.includes(block.name));
+    if (touching) return touching.name;
+
+    const minY = bot.game.minY !== undefined ? bot.game.minY : 0;
+    for (let drop = 1; drop <= this.maxDrop + 1; drop++) {
+      const below = position.offset(0, -drop, 0);
+      if (below.y < minY) return 'the void';
+      const block = bot.blockAt(below);
+      if (!block) return 'unloaded chunks';
+      if (HAZARD_BLOCKS.includes(block.name)) return block.name;
+      if (block.boundingBox === 'block' || block.name === 'water') return null;
+    }
+    return `a drop of more than ${this.maxDrop} blocks`;
+  }
+
+  onHealth(bot) {
+    if (!this.enabled || bot !== this.owner.bot || !bot.isAlive || this.eating) return;
+
+    // Health only regenerates with a full-ish food bar, so top it up when hurt too
+    const hungry = bot.food < this.eatBelowFood;
+    const hurt = bot.health < this.eatBelowHealth && bot.food < 20;
+    if (hungry || hurt) this.eat(bot);
+  }
+
+  pickFood(bot) {
+    const foods = bot.registry.foodsByName;
+    return bot.inventory.items()
+      .filter(item => foods[item.name] && !UNSAFE_FOODS.includes(item.name))
+      .sort((a, b) => foods[b.name].foodPoints - foods[a.name].foodPoints)[0] || null;
+  }
+
+  async eat(bot) {
+    const food = this.pickFood(bot);
+    if (!food) {
+      if (!this.noFoodWarned) this.log.warn(`⚠ Hungry (food ${bot.food}/20) but there's nothing safe to eat`);
+      this.noFoodWarned = true;
+      return;
+    }
+
+    this.noFoodWarned = false;
+    this.eating = true;
+    this.owner.behaviors.finish();
+    try {
+      await bot.equip(food, 'hand');
+      await bot.consume();
+      this.log.info(`🍖 Ate ${food.name} (food ${bot.food}/20, health ${Math.round(bot.health)}/20)`);
+    } catch (error) {
+      this.log.warn(`⚠ Could not eat ${food.name}:`, error.message);
+    } finally {
+      this.eating = false;
+    }
+  }
+
+  onDeath(bot) {
+    if (bot !== this.owner.bot) return;
+
+    this.deaths++;
+    const position = bot.entity && bot.entity.position;
+    this.lastDeath = {
+      at: new Date().toISOString(),
+      position: position ? { x: Math.round(position.x), y: Math.round(position.y), z: Math.round(position.z) } : null
+    };
+    this.owner.metric.deaths.inc();
+    this.log.warn(`💀 Bot died (${this.deaths} death${this.deaths === 1 ? '' : 's'} so far), respawning in ${this.respawnDelay / 1000}s`);
+
+    this.owner.behaviors.finish();
+    this.fleeingFrom = null;
+    bot.clearControlStates();
+
+    // mineflayer's own instant respawn is off, so behaviors and timers settle before the bot comes back
+    this.owner.timers.clear(this.respawnTimer);
+    this.respawnTimer = this.owner.timers.setTimeout(() => {
+      this.respawnTimer = null;
+      if (bot === this.owner.bot && this.owner.connected) bot.respawn();
+    }, this.respawnDelay);
+  }
+
+  // Called when the bot leaves the server
+  stop() {
+    this.stopWatching();
+    this.owner.timers.clear(this.respawnTimer);
+    this.respawnTimer = null;
+  }
+
+  getStatus() {
+    const bot = this.owner.connected ? this.owner.bot : null;
+    return {
+      enabled: this.enabled,
+      health: bot && bot.health !== undefined ? Math.round(bot.health) : null,
+      food: bot && bot.food !== undefined ? bot.food : null,
+      eating: this.eating,
+      fleeingFrom: this.fleeingFrom,
+      deaths: this.deaths,
+      lastDeath: this.lastDeath
+    };
+  }
+}
+
+module.exports = Survival;
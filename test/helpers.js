@@ -0,0 +1,23 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+const { loadConfig } = require('../config');
+const logger = require('../logger');
+
+logger.configure({ level: process.env.LOG_LEVEL || 'silent' });
+
+const tempDirs = [];
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// A single bot's config from command line style flags, with state kept in a throwaway directory
+function botConfig(argv = []) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afkbot-test-'));
+  tempDirs.push(dir);
+  return loadConfig({
+    argv: ['--config', path.join(__dirname, 'config.json'), '--stateFile', path.join(dir, 'state.json'), ...argv],
+    env: {}
+  }).bots[0];
+}
+
+module.exports = { botConfig };
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { botConfig } = require('./helpers');
+const FakeServer = require('../fake-server');
+const MinecraftBot = require('../bot');
+
+// End-to-end runs against an in-process FakeServer: real sockets and a real mineflayer client,
+// with delays shrunk so each reconnect happens within a second or two
+const FAST = [
+  '--host', '127.0.0.1',
+  '--reconnect.minDelay', '0',
+  '--reconnect.defaultDelay', '300',
+  '--reconnect.networkDelay', '300',
+  '--reconnect.duplicateLoginDelay', '300',
+  '--reconnect.bannedDelay', '300',
+  '--reconnect.throttledDelay', '1500',
+  '--reconnect.returnDelay', '300',
+  '--detection.hidingPollInterval', '1000',
+  '--presence.leaveDebounce', '500'
+];
+
+async function startBot(t, argv = []) {
+  const server = new FakeServer();
+  const port = await server.start();
+  const bot = new MinecraftBot(botConfig([...FAST, '--port', String(port), ...argv]));
+  bot.reconnectPolicy.random = () => 1; // No jitter
+  t.after(() => Promise.all([bot.disconnect(), server.stop()]));
+
+  const spawned = server.waitFor('spawned');
+  bot.connect();
+  const { username } = await spawned;
+  await waitForState(bot, 'connected');
+  return { server, bot, username };
+}
+
+function waitForEvent(emitter, event, timeout = 15000) {
+  return once(emitter, event, { signal: AbortSignal.timeout(timeout) }).then(([data]) => data);
+}
+
+async function waitForState(bot, state, timeout = 15000) {
+  const deadline = Date.now() + timeout;
+  while (!bot.state.is(state)) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${state}, still ${bot.state.current}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+test('a ban switches to a fresh username and rejoins with it', async (t) => {
+  const { server, bot, username } = await startBot(t);
+
+  const switched = waitForEvent(bot, 'usernameSwitched');
+  server.kick(username, 'banned');
+  const { previous, username: next } = await switched;
+  assert.strictEqual(previous, username);
+  assert.notStrictEqual(next, username);
+  assert.ok(bot.bannedUsernames.has(username));
+
+  await server.waitFor('spawned', next, 15000);
+  await waitForState(bot, 'connected');
+  assert.strictEqual(bot.reconnectPolicy.getState().attempts.banned, 1);
+  // The banned name must not linger as a "real player" once the bot is back
+  assert.deepStrictEqual(bot.presence.getRealPlayers(), []);
+});
+
+test('a duplicate login kick rejoins under another username', async (t) => {
+  const { server, bot, username } = await startBot(t);
+
+  server.kick(username, 'duplicate_login');
+  await waitForEvent(bot, 'usernameSwitched');
+  const next = bot.currentUsername;
+  assert.notStrictEqual(next, username);
+
+  await server.waitFor('spawned', next, 15000);
+  await waitForState(bot, 'connected');
+  assert.strictEqual(bot.reconnectPolicy.getState().attempts.duplicateLogin, 1);
+});
+
+test('a dropped connection backs off and reconnects with the same username', async (t) => {
+  const { server, bot, username } = await startBot(t);
+
+  server.dropConnection(username);
+  await waitForState(bot, 'disconnected');
+  assert.ok(bot.reconnectTimeout, 'a reconnect should be scheduled');
+
+  await server.waitFor('spawned', username, 15000);
+  await waitForState(bot, 'connected');
+  assert.strictEqual(bot.currentUsername, username);
+  assert.strictEqual(bot.reconnectPolicy.getState().consecutiveFailures, 1);
+});
+
+test('a throttled kick waits out the longer throttled backoff, then rejoins with the same username', async (t) => {
+  const { server, bot, username } = await startBot(t);
+
+  const kickedAt = Date.now();
+  server.kick(username, 'throttled');
+  await waitForState(bot, 'disconnected');
+  assert.strictEqual(bot.lastErrorCategory, 'throttled');
+  assert.strictEqual(bot.reconnectPolicy.getState().attempts.throttled, 1);
+
+  await server.waitFor('spawned', username, 15000);
+  assert.ok(Date.now() - kickedAt >= 1500, 'rejoined before the throttled delay was up');
+  await waitForState(bot, 'connected');
+  assert.strictEqual(bot.currentUsername, username);
+});
+
+test('a real player in the tab list makes the bot hide until they leave, then it returns', async (t) => {
+  const { server, bot, username } = await startBot(t);
+
+  const hiding = waitForEvent(bot, 'hiding');
+  server.addPlayer('Steve');
+  const { realPlayers } = await hiding;
+  assert.deepStrictEqual(realPlayers, ['Steve']);
+  assert.ok(bot.isHidingFromPlayers);
+  await server.waitFor('left', username);
+
+  // Still there on the next status ping: stay away
+  await new Promise(resolve => setTimeout(resolve, 1500));
+  assert.ok(bot.isHidingFromPlayers);
+  assert.strictEqual(server.clients.size, 0);
+
+  const returning = waitForEvent(bot, 'returning');
+  server.removePlayer('Steve');
+  await returning;
+  await server.waitFor('spawned', username, 15000);
+  await waitForState(bot, 'connected');
+  assert.deepStrictEqual(bot.getStatus().realPlayersOnline, []);
+});
+
+test('a player who is online before the bot joins keeps it away', async (t) => {
+  const server = new FakeServer();
+  const port = await server.start();
+  server.addPlayer('Steve');
+  const bot = new MinecraftBot(botConfig([...FAST, '--port', String(port)]));
+  t.after(() => Promise.all([bot.disconnect(), server.stop()]));
+
+  await bot.connect();
+  assert.strictEqual(bot.state.current, 'waiting_for_players_to_leave');
+  assert.strictEqual(server.clients.size, 0);
+
+  server.removePlayer('Steve');
+  await server.waitFor('spawned', bot.currentUsername, 15000);
+  await waitForState(bot, 'connected');
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { once } = require('node:events');
+require('./helpers');
+const Notifier = require('../notifier');
+
+// A local webhook endpoint answering with the given statuses in turn, then 200
+async function startWebhook(t, statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook/secret`, requests };
+}
+
+function notifier(webhooks, options = {}) {
+  return new Notifier({ webhooks, retryDelay: 1, ...options }, { bot: 'alpha', server: 'mc.example.com:25565' });
+}
+
+const banned = { title: 'Bot banned', message: 'VISITOR_BOT_1 was banned', severity: 'critical', fields: { reason: 'griefing' } };
+
+test('discord webhooks receive an embed carrying the source and fields', async (t) => {
+  const hook = await startWebhook(t);
+  const result = await notifier([{ url: hook.url, format: 'discord', headers: { 'X-Token': 'abc' } }]).notify('banned', banned);
+
+  assert.deepStrictEqual(result, [true]);
+  assert.strictEqual(hook.requests[0].headers['x-token'], 'abc');
+  const { username, embeds } = hook.requests[0].body;
+  assert.strictEqual(username, 'AFK Bot');
+  assert.strictEqual(embeds[0].title, 'Bot banned');
+  assert.strictEqual(embeds[0].description, 'VISITOR_BOT_1 was banned');
+  assert.strictEqual(embeds[0].color, 0xdc3545);
+  assert.deepStrictEqual(embeds[0].fields, [
+    { name: 'bot', value: 'alpha', inline: true },
+    { name: 'server', value: 'mc.example.com:25565', inline: true },
+    { name: 'reason', value: 'griefing', inline: true }
+  ]);
+});
+
+test('webhooks only receive the events they subscribe to', async (t) => {
+  const all = await startWebhook(t);
+  const bansOnly = await startWebhook(t);
+  const notify = notifier([{ url: all.url }, { url: bansOnly.url, events: ['banned'] }]);
+
+  await notify.notify('kicked', { title: 'Kicked', message: 'kicked for idling' });
+  await notify.notify('banned', banned);
+
+  assert.deepStrictEqual(all.requests.map(request => request.body.event), ['kicked', 'banned']);
+  assert.deepStrictEqual(bansOnly.requests.map(request => request.body.event), ['banned']);
+  assert.deepStrictEqual(all.requests[1].body.fields, { bot: 'alpha', server: 'mc.example.com:25565', reason: 'griefing' });
+});
+
+test('repeated notifications are deduplicated within the window', async (t) => {
+  const hook = await startWebhook(t);
+  const notify = notifier([{ url: hook.url }]);
+
+  await notify.notify('kicked', { title: 'Kicked', message: 'kicked for idling' });
+  assert.deepStrictEqual(await notify.notify('kicked', { title: 'Kicked', message: 'kicked for idling' }), []);
+  await notify.notify('kicked', { title: 'Kicked', message: 'kicked for flying' });
+
+  assert.deepStrictEqual(hook.requests.map(request => request.body.message), ['kicked for idling', 'kicked for flying']);
+});
+
+test('each webhook is rate limited on its own', async (t) => {
+  const limited = await startWebhook(t);
+  const notify = notifier([{ url: limited.url }], { rateLimit: 2 });
+
+  const results = [];
+  for (const message of ['one', 'two', 'three']) {
+    results.push(await notify.notify('kicked', { title: 'Kicked', message }));
+  }
+
+  assert.deepStrictEqual(results, [[true], [true], []]);
+  assert.strictEqual(limited.requests.length, 2);
+});
+
+test('server errors and 429 are retried until delivered', async (t) => {
+  const hook = await startWebhook(t, [500, 429, 503]);
+  const result = await notifier([{ url: hook.url }]).notify('banned', banned);
+
+  assert.deepStrictEqual(result, [true]);
+  assert.strictEqual(hook.requests.length, 4);
+});
+
+test('gives up after the last retry', async (t) => {
+  const hook = await startWebhook(t, [500, 500, 500, 500]);
+  const result = await notifier([{ url: hook.url }], { retries: 2 }).notify('banned', banned);
+
+  assert.deepStrictEqual(result, [false]);
+  assert.strictEqual(hook.requests.length, 3);
+});
+
+test('other client errors are final', async (t) => {
+  const hook = await startWebhook(t, [404]);
+  const result = await notifier([{ url: hook.url }]).notify('banned', banned);
+
+  assert.deepStrictEqual(result, [false]);
+  assert.strictEqual(hook.requests.length, 1);
+});
+
+test('stop() cancels a delivery waiting to retry', async (t) => {
+  const hook = await startWebhook(t, [500]);
+  const notify = notifier([{ url: hook.url }], { retryDelay: 60000 });
+
+  const delivery = notify.notify('banned', banned);
+  while (hook.requests.length === 0) await new Promise(resolve => setImmediate(resolve));
+  await notify.stop();
+
+  assert.deepStrictEqual(await delivery, [false]);
+  assert.strictEqual(hook.requests.length, 1);
+  assert.strictEqual(notify.deliveries.size, 0);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const PresenceSchedule = require('../presence-schedule');
+
+test('nextTransition finds a single-minute cron window', () => {
+  const schedule = new PresenceSchedule({ windows: [{ mode: 'absent', cron: '30 3 * * *' }] });
+  const next = schedule.nextTransition(Date.UTC(2026, 9, 19, 12, 0, 15));
+  assert.deepStrictEqual(next, { at: Date.UTC(2026, 9, 20, 3, 30), from: 'present_if_no_players', to: 'absent', source: 'window 0' });
+});
+
+test('nextTransition follows the time zone across a DST change', () => {
+  // Berlin moves from UTC+1 to UTC+2 at 01:00 UTC on 29 March 2026
+  const schedule = new PresenceSchedule({
+    timezone: 'Europe/Berlin',
+    windows: [{ mode: 'absent', days: ['sun'], from: '04:00', to: '05:00' }]
+  });
+  const next = schedule.nextTransition(Date.UTC(2026, 2, 28, 12));
+  assert.strictEqual(next.at, Date.UTC(2026, 2, 29, 2));
+  assert.strictEqual(schedule.nextTransition(next.at).at, Date.UTC(2026, 2, 29, 3));
+});
+
+test('nextTransition lands on maintenance edges between minutes', () => {
+  const schedule = new PresenceSchedule({
+    maintenance: [{ start: '2026-10-20T08:00:30Z', end: '2026-10-20T09:00:00Z', reason: 'backup' }]
+  });
+  const next = schedule.nextTransition(Date.UTC(2026, 9, 20, 7));
+  assert.deepStrictEqual(next, { at: Date.parse('2026-10-20T08:00:30Z'), from: 'present_if_no_players', to: 'absent', source: 'backup' });
+});
+
+test('nextTransition returns null when nothing changes within the horizon', () => {
+  const schedule = new PresenceSchedule({ windows: [{ mode: 'absent', cron: '0 0 29 2 *' }] });
+  assert.strictEqual(schedule.nextTransition(Date.UTC(2026, 9, 19)), null);
+});
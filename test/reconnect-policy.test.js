@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const ReconnectPolicy = require('../reconnect-policy');
+
+const classes = {
+  network: { baseDelay: 1000, maxDelay: 8000 },
+  banned: { baseDelay: 2000, maxDelay: 3000 },
+  default: { baseDelay: 5000, maxDelay: 5000 }
+};
+
+function policy(options = {}, random = () => 1) {
+  return new ReconnectPolicy({ classes, multiplier: 2, minDelay: 500, breakerThreshold: 100, ...options }, random);
+}
+
+test('backoff doubles up to the ceiling of each class', () => {
+  const reconnect = policy();
+  const delays = [1, 2, 3, 4, 5].map(() => reconnect.onFailure('network').delay);
+  assert.deepStrictEqual(delays, [1000, 2000, 4000, 8000, 8000]);
+  assert.deepStrictEqual([1, 2].map(() => reconnect.onFailure('banned').delay), [2000, 3000]);
+});
+
+test('unknown classes fall back to the default class', () => {
+  assert.strictEqual(policy().onFailure('nonsense').delay, 5000);
+});
+
+test('full jitter picks anywhere below the ceiling', () => {
+  assert.strictEqual(policy({}, () => 0.5).onFailure('network').delay, 500);
+  const reconnect = policy({}, () => 0.25);
+  reconnect.onFailure('network');
+  reconnect.onFailure('network');
+  assert.strictEqual(reconnect.onFailure('network').delay, 1000); // A quarter of 4000
+});
+
+test('delays never drop below minDelay', () => {
+  assert.strictEqual(policy({}, () => 0).onFailure('network').delay, 500);
+  assert.strictEqual(policy({ minDelay: 1500 }, () => 0.1).onFailure('network').delay, 1500);
+});
+
+test('a minDelay of 0 allows an immediate retry', () => {
+  assert.strictEqual(policy({ minDelay: 0 }, () => 0).onFailure('network').delay, 0);
+});
+
+test('the breaker opens after the threshold and lets one probe through after the cooldown', () => {
+  const reconnect = policy({ breakerThreshold: 3, breakerCooldown: 60000 });
+  assert.strictEqual(reconnect.onFailure('network', 0).breakerState, 'closed');
+  assert.strictEqual(reconnect.onFailure('network', 0).breakerState, 'closed');
+
+  const opened = reconnect.onFailure('network', 1000);
+  assert.strictEqual(opened.breakerState, 'open');
+  assert.strictEqual(opened.delay, 60000);
+
+  reconnect.onAttempt(60999);
+  assert.strictEqual(reconnect.getState().breakerState, 'open');
+  reconnect.onAttempt(61000);
+  assert.strictEqual(reconnect.getState().breakerState, 'half_open');
+
+  // The probe failed: straight back to open with a fresh cooldown
+  const reopened = reconnect.onFailure('network', 62000);
+  assert.strictEqual(reopened.breakerState, 'open');
+  assert.strictEqual(reopened.delay, 60000);
+  assert.strictEqual(reconnect.getState().breakerOpenedAt, new Date(62000).toISOString());
+});
+
+test('failures of different classes count towards the same breaker', () => {
+  const reconnect = policy({ breakerThreshold: 2 });
+  reconnect.onFailure('banned');
+  assert.strictEqual(reconnect.onFailure('network').breakerState, 'open');
+});
+
+test('only a stable session closes the breaker', () => {
+  const reconnect = policy({ breakerThreshold: 1, stableSessionMs: 300000 });
+  reconnect.onFailure('network');
+  reconnect.onSessionEnd(299999);
+  assert.strictEqual(reconnect.getState().breakerState, 'open');
+  reconnect.onSessionEnd(null);
+  assert.strictEqual(reconnect.getState().breakerState, 'open');
+
+  reconnect.onSessionEnd(300000);
+  assert.strictEqual(reconnect.getState().breakerState, 'closed');
+  assert.strictEqual(reconnect.getState().consecutiveFailures, 0);
+});
+
+test('with stableSessionMs 0 any session that ended closes the breaker', () => {
+  const reconnect = policy({ breakerThreshold: 1, stableSessionMs: 0 });
+  reconnect.onFailure('network');
+  reconnect.onSessionEnd(0);
+  assert.strictEqual(reconnect.getState().breakerState, 'closed');
+});
+
+test('reset() starts every class from its base delay again', () => {
+  const reconnect = policy();
+  reconnect.onFailure('network');
+  reconnect.onFailure('network');
+  reconnect.reset();
+
+  const state = reconnect.getState();
+  assert.deepStrictEqual(state.attempts, {});
+  assert.strictEqual(state.consecutiveFailures, 0);
+  assert.strictEqual(state.breakerOpenedAt, null);
+  assert.strictEqual(reconnect.onFailure('network').delay, 1000);
+});
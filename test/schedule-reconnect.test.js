@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { botConfig } = require('./helpers');
+const MinecraftBot = require('../bot');
+const { ErrorCategory } = require('../error-taxonomy');
+
+// A bot that never really connects: connect() is replaced by a mock and timers are fake
+function createBot(t, argv = []) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  const bot = new MinecraftBot(botConfig(argv));
+  bot.reconnectPolicy.random = () => 1; // No jitter, so every delay is the ceiling
+  const connect = t.mock.method(bot, 'connect', () => {});
+  t.after(() => bot.timers.clearAll());
+  return { bot, connect };
+}
+
+test('scheduleReconnect connects once the backoff delay has passed', (t) => {
+  const { bot, connect } = createBot(t, ['--reconnect.serverFullDelay', '30000']);
+  bot.lastErrorCategory = ErrorCategory.SERVER_FULL;
+  bot.scheduleReconnect();
+
+  t.mock.timers.tick(29999);
+  assert.strictEqual(connect.mock.callCount(), 0);
+  t.mock.timers.tick(1);
+  assert.strictEqual(connect.mock.callCount(), 1);
+  assert.strictEqual(bot.reconnectTimeout, null);
+});
+
+test('scheduleReconnect keeps the pending reconnect instead of stacking another', (t) => {
+  const { bot, connect } = createBot(t, ['--reconnect.serverFullDelay', '30000']);
+  bot.lastErrorCategory = ErrorCategory.SERVER_FULL;
+  bot.scheduleReconnect();
+  bot.scheduleReconnect();
+
+  t.mock.timers.tick(60000);
+  assert.strictEqual(connect.mock.callCount(), 1);
+  assert.strictEqual(bot.reconnectPolicy.getState().attempts.serverFull, 1);
+});
+
+test('consecutive failures back off further each time', (t) => {
+  const { bot, connect } = createBot(t, ['--reconnect.serverFullDelay', '30000', '--reconnect.multiplier', '2']);
+  bot.lastErrorCategory = ErrorCategory.SERVER_FULL;
+  bot.scheduleReconnect();
+  t.mock.timers.tick(30000);
+  bot.scheduleReconnect();
+
+  t.mock.timers.tick(59999);
+  assert.strictEqual(connect.mock.callCount(), 1);
+  t.mock.timers.tick(1);
+  assert.strictEqual(connect.mock.callCount(), 2);
+});
+
+test('a shutdown cancels the pending reconnect', async (t) => {
+  const { bot, connect } = createBot(t);
+  bot.lastErrorCategory = ErrorCategory.UNKNOWN;
+  bot.scheduleReconnect();
+  await bot.disconnect();
+
+  t.mock.timers.tick(600000);
+  assert.strictEqual(connect.mock.callCount(), 0);
+});
+
+test('repeated bans back off and eventually open the breaker instead of cycling usernames', (t) => {
+  const { bot, connect } = createBot(t, [
+    '--reconnect.bannedDelay', '1000',
+    '--reconnect.bannedMaxDelay', '4000',
+    '--reconnect.breakerThreshold', '4',
+    '--reconnect.breakerCooldown', '600000'
+  ]);
+
+  const delays = [1, 2, 3].map(() => {
+    bot.reconnectWithNewUsername(ErrorCategory.BANNED);
+    const delay = bot.reconnectPolicy.getState().lastDelay;
+    t.mock.timers.tick(delay);
+    return delay;
+  });
+  assert.deepStrictEqual(delays, [1000, 2000, 4000]);
+  assert.strictEqual(connect.mock.callCount(), 3);
+
+  bot.reconnectWithNewUsername(ErrorCategory.BANNED);
+  assert.strictEqual(bot.reconnectPolicy.getState().breakerState, 'open');
+  t.mock.timers.tick(599999);
+  assert.strictEqual(connect.mock.callCount(), 3);
+  t.mock.timers.tick(1);
+  assert.strictEqual(connect.mock.callCount(), 4);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('node:net');
+const { once } = require('node:events');
+require('./helpers');
+const FakeServer = require('../fake-server');
+const { pingServer } = require('../server-ping');
+
+async function startServer(t, options = {}) {
+  const server = new FakeServer({ motd: '§aWelcome §lhome', maxPlayers: 8, ...options });
+  await server.start();
+  t.after(() => server.stop());
+  return server;
+}
+
+test('reports version, protocol, MOTD, player counts and sample', async (t) => {
+  const server = await startServer(t);
+  server.addPlayer('Alice');
+  server.addPlayer('Bob');
+
+  const status = await pingServer('127.0.0.1', server.port);
+
+  assert.strictEqual(status.online, true);
+  assert.strictEqual(status.version, '1.20.1');
+  assert.strictEqual(status.protocol, 763);
+  assert.strictEqual(status.motd, 'Welcome home');
+  assert.strictEqual(status.players.online, 2);
+  assert.strictEqual(status.players.max, 8);
+  assert.deepStrictEqual(status.players.sample.map(player => player.name), ['Alice', 'Bob']);
+  assert.strictEqual(status.players.sample[0].id, server.players.get('Alice').uuid);
+  assert.ok(Number.isInteger(status.latency) && status.latency >= 0);
+});
+
+test('treats a placeholder version as an offline server', async (t) => {
+  const server = await startServer(t);
+  server.setPingVersion({ name: '§4● Offline', protocol: -1 });
+
+  const status = await pingServer('127.0.0.1', server.port);
+
+  assert.strictEqual(status.online, false);
+  assert.strictEqual(status.version, '§4● Offline');
+  assert.strictEqual(status.protocol, -1);
+});
+
+test('a placeholder name alone is enough to count as offline', async (t) => {
+  const server = await startServer(t);
+  server.setPingVersion({ name: 'Starting...', protocol: 763 });
+
+  assert.strictEqual((await pingServer('127.0.0.1', server.port)).online, false);
+});
+
+test('times out when the server accepts the connection but never answers', async (t) => {
+  const silent = net.createServer(() => {});
+  silent.listen(0, '127.0.0.1');
+  await once(silent, 'listening');
+  t.after(() => silent.close());
+
+  await assert.rejects(
+    pingServer('127.0.0.1', silent.address().port, { timeout: 200 }),
+    { message: 'Status ping timed out after 200ms' }
+  );
+});
+
+test('rejects when nothing listens on the port', async (t) => {
+  const server = await startServer(t);
+  const { port } = server;
+  await server.stop();
+
+  await assert.rejects(pingServer('127.0.0.1', port), { code: 'ECONNREFUSED' });
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const logger = require('../logger');
+const ServerStarter = require('../server-starter');
+
+// A starter whose clock is `clock.now`, owned by just enough of a MinecraftBot to record metrics
+function createStarter(t, options = {}) {
+  const clock = { now: 1000000 };
+  t.mock.method(Date, 'now', () => clock.now);
+  const starts = [];
+  const owner = {
+    config: { host: '127.0.0.1', port: 25565 },
+    connectionLog: logger.child('connection'),
+    metric: { serverStarts: { inc: labels => starts.push(labels.result) } }
+  };
+  const starter = new ServerStarter(owner, { backend: 'stub', offlineFor: 60000, cooldown: 300000, ...options });
+  return { starter, clock, starts };
+}
+
+test('asks for a start only once the server has been offline long enough', (t) => {
+  const { starter, clock } = createStarter(t);
+  const start = t.mock.method(starter, 'start', async () => true);
+
+  starter.observe(false);
+  clock.now += 59999;
+  starter.observe(false);
+  assert.strictEqual(start.mock.callCount(), 0);
+
+  clock.now += 1;
+  starter.observe(false);
+  assert.strictEqual(start.mock.callCount(), 1);
+});
+
+test('coming back online resets the offline timer', (t) => {
+  const { starter, clock } = createStarter(t);
+  starter.observe(false);
+  clock.now += 50000;
+  starter.observe(true);
+  assert.strictEqual(starter.offlineSince, null);
+
+  starter.observe(false);
+  clock.now += 50000;
+  assert.strictEqual(starter.isDue(), false);
+  clock.now += 10000;
+  assert.strictEqual(starter.isDue(), true);
+});
+
+test('waits for the cooldown between attempts', async (t) => {
+  const { starter, clock } = createStarter(t);
+  starter.observe(false);
+  clock.now += 60000;
+  assert.strictEqual(await starter.start(), true);
+
+  clock.now += 299999;
+  assert.strictEqual(starter.isDue(), false);
+  clock.now += 1;
+  assert.strictEqual(starter.isDue(), true);
+});
+
+test('records a successful stub start', async (t) => {
+  const { starter, clock, starts } = createStarter(t);
+  starter.observe(false);
+  clock.now += 60000;
+
+  assert.strictEqual(await starter.start(), true);
+  assert.deepStrictEqual(starts, ['success']);
+  assert.strictEqual(starter.lastAttempt.ok, true);
+  assert.strictEqual(starter.lastAttempt.result, 'stub backend pretended to start the server');
+});
+
+test('records a failed stub start', async (t) => {
+  const { starter, clock, starts } = createStarter(t, { stubOutcome: 'failure' });
+  starter.observe(false);
+  clock.now += 60000;
+
+  assert.strictEqual(await starter.start(), false);
+  assert.deepStrictEqual(starts, ['failure']);
+  assert.strictEqual(starter.lastAttempt.ok, false);
+  assert.strictEqual(starter.lastAttempt.result, 'stub backend set to fail');
+});
+
+test('gives up on a backend that outlasts the timeout', async (t) => {
+  const { starter, starts } = createStarter(t, { backend: 'shell', command: 'sleep 5', timeout: 100 });
+  starter.observe(false);
+
+  assert.strictEqual(await starter.start(), false);
+  assert.strictEqual(starter.lastAttempt.result, 'timed out after 0.1s');
+  assert.deepStrictEqual(starts, ['failure']);
+  assert.strictEqual(starter.controller, null);
+});
+
+test('stop() aborts the attempt in progress', async (t) => {
+  const { starter } = createStarter(t, { backend: 'shell', command: 'sleep 5' });
+  starter.observe(false);
+
+  const attempt = starter.start();
+  assert.strictEqual(starter.getStatus().running, true);
+  starter.stop();
+
+  assert.strictEqual(await attempt, false);
+  assert.strictEqual(starter.lastAttempt.result, 'aborted on shutdown');
+  assert.strictEqual(starter.getStatus().running, false);
+});
+
+test('getStatus() reports the offline time, next attempt and last result', async (t) => {
+  const { starter, clock } = createStarter(t);
+  assert.deepStrictEqual(starter.getStatus(), {
+    backend: 'stub',
+    running: false,
+    offlineSince: null,
+    nextAttemptAt: null,
+    attempts: 0,
+    lastAttempt: null
+  });
+
+  const offlineSince = clock.now;
+  starter.observe(false);
+  assert.strictEqual(starter.getStatus().nextAttemptAt, new Date(offlineSince + 60000).toISOString());
+
+  clock.now += 60000;
+  await starter.start();
+  const status = starter.getStatus();
+  assert.strictEqual(status.offlineSince, new Date(offlineSince).toISOString());
+  assert.strictEqual(status.nextAttemptAt, new Date(clock.now + 300000).toISOString());
+  assert.strictEqual(status.attempts, 1);
+  assert.deepStrictEqual(status.lastAttempt, {
+    at: new Date(clock.now).toISOString(),
+    ok: true,
+    result: 'stub backend pretended to start the server',
+    duration: 0
+  });
+});
+
+test('validate() names the option each backend needs', () => {
+  assert.deepStrictEqual(ServerStarter.validate({ backend: 'shell' }), ['command: required for the shell backend']);
+  assert.deepStrictEqual(ServerStarter.validate({ backend: 'http', url: 'ftp://panel' }), ['url: must be an http(s) url']);
+  assert.deepStrictEqual(ServerStarter.validate({ backend: 'stub' }), []);
+});
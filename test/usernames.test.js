@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { botConfig } = require('./helpers');
+const MinecraftBot = require('../bot');
+
+test('generated usernames never exceed 16 characters', () => {
+  const bot = new MinecraftBot(botConfig(['--username', 'ABCDEFGHIJKLMNOP']));
+  assert.strictEqual(bot.currentUsername, 'ABCDEFGHIJKLMN_1');
+
+  bot.usernameCounter = 1234;
+  bot.switchToNextUsername();
+  assert.match(bot.currentUsername, /^ABCDEFGHI?_1235_\d{1,2}$/);
+  assert.ok(bot.currentUsername.length <= 16);
+});
+
+test('short base names are kept whole', () => {
+  const bot = new MinecraftBot(botConfig(['--username', 'VISITOR_BOT']));
+  assert.strictEqual(bot.currentUsername, 'VISITOR_BOT_1');
+  bot.switchToNextUsername();
+  assert.match(bot.currentUsername, /^VISITOR_BOT_2_\d{1,2}$/);
+});
@@ -0,0 +1,56 @@
+// Tracks every timeout, interval and sleep a bot starts, so shutdown can cancel all of them at once
+// instead of each feature remembering its own handles
+class TimerRegistry {
+  constructor() {
+    this.timers = new Set();
+    this.sleepers = new Set(); // resolve functions of pending sleep() promises
+  }
+
+  setTimeout(callback, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delay);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  setInterval(callback, interval) {
+    const timer = setInterval(callback, interval);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  // Works for both timeouts and intervals; null is ignored
+  clear(timer) {
+    if (!timer) return;
+    clearTimeout(timer);
+    this.timers.delete(timer);
+  }
+
+  // Resolves after `delay`, or early when clearAll() runs, so awaiting code never blocks shutdown;
+  // callers check their own shutdown flag after waking up
+  sleep(delay) {
+    return new Promise((resolve) => {
+      const wake = () => {
+        this.sleepers.delete(wake);
+        this.clear(timer);
+        resolve();
+      };
+      const timer = this.setTimeout(wake, delay);
+      this.sleepers.add(wake);
+    });
+  }
+
+  clearAll() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.sleepers.forEach(wake => wake());
+  }
+
+  get size() {
+    return this.timers.size;
+  }
+}
+
+module.exports = TimerRegistry;
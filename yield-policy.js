@@ -0,0 +1,87 @@
+// What the bot does when real players are on the server. Policies:
+//   always_leave     - leave as soon as any real player is seen (the original behaviour)
+//   leave_when_full  - leave only once online players reach max - freeSlots, per the status ping
+//   leave_for_listed - leave only for the players listed in `players`; stay for everyone else
+//   stay_idle        - stay connected but stop every activity until the players are gone
+//   stay_then_leave  - stay for `stayFor` ms after the first real player shows up, then leave
+const POLICIES = {
+  always_leave: () => 'always leave for real players',
+  leave_when_full: policy => `leave when ${policy.freeSlots} or fewer slots are free`,
+  leave_for_listed: policy => `leave only for ${policy.players.length > 0 ? policy.players.join(', ') : 'nobody'}`,
+  stay_idle: () => 'stay, but go idle while real players are online',
+  stay_then_leave: policy => `stay ${Math.round(policy.stayFor / 60000)} min, then leave`
+};
+
+// Decisions: 'leave' (hide from the players), 'stay' (carry on as usual) or 'idle' (stay, no activity)
+class YieldPolicy {
+  constructor(options = {}) {
+    this.policy = POLICIES[options.policy] ? options.policy : 'always_leave';
+    this.freeSlots = options.freeSlots !== undefined ? options.freeSlots : 2;
+    this.players = (options.players || []).map(name => name.toLowerCase());
+    this.stayFor = options.stayFor !== undefined ? options.stayFor : 600000;
+    this.playersSince = null; // Start of the current stretch with real players around, for stay_then_leave
+    this.lastDecision = null; // { decision, reason, at }
+  }
+
+  // counts: { online, max, connected }; online/max come from the tab list or the latest status ping
+  decide(realPlayers, counts = {}, now = Date.now()) {
+    if (realPlayers.length === 0) {
+      this.playersSince = null;
+      return this.record('stay', 'no real players', now);
+    }
+    if (this.playersSince === null) this.playersSince = now;
+
+    switch (this.policy) {
+      case 'leave_when_full': {
+        // Without a max from the ping there's no telling how full the server is, so play it safe
+        if (!counts.max) return this.record('leave', 'server capacity unknown', now);
+        // From outside, count the slot the bot would take, or it would rejoin, fill it and leave again
+        const online = counts.online + (counts.connected ? 0 : 1);
+        const free = counts.max - online;
+        return free <= this.freeSlots
+          ? this.record('leave', `${online}/${counts.max} online, ${free} slot(s) free`, now)
+          : this.record('stay', `${free} slot(s) still free`, now);
+      }
+      case 'leave_for_listed': {
+        const listed = realPlayers.filter(name => this.players.includes(name.toLowerCase()));
+        return listed.length > 0
+          ? this.record('leave', `listed player(s) online: ${listed.join(', ')}`, now)
+          : this.record('stay', 'no listed players online', now);
+      }
+      case 'stay_idle':
+        return this.record('idle', 'staying idle while real players are online', now);
+      case 'stay_then_leave': {
+        // Never join a server that already has players on it, or the stay would start over
+        if (!counts.connected) return this.record('leave', 'real players online before joining', now);
+        const remaining = this.playersSince + this.stayFor - now;
+        return remaining <= 0
+          ? this.record('leave', `stayed ${Math.round(this.stayFor / 60000)} min with real players`, now)
+          : this.record('stay', `leaving in ${Math.ceil(remaining / 1000)}s`, now);
+      }
+      default:
+        return this.record('leave', 'real players online', now);
+    }
+  }
+
+  record(decision, reason, now) {
+    this.lastDecision = { decision, reason, at: now };
+    return decision;
+  }
+
+  describe() {
+    return POLICIES[this.policy](this);
+  }
+
+  getStatus() {
+    const last = this.lastDecision;
+    return {
+      policy: this.policy,
+      description: this.describe(),
+      lastDecision: last ? { ...last, at: new Date(last.at).toISOString() } : null
+    };
+  }
+}
+
+YieldPolicy.POLICIES = Object.keys(POLICIES);
+
+module.exports = YieldPolicy;